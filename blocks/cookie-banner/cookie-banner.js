@@ -0,0 +1,147 @@
+/*
+ * Cookie Banner Block
+ * Asks visitors for their consent, or lets them change it on the preference center page
+ */
+
+import { toCamelCase } from '../../scripts/aem.js';
+import { moveInstrumentation, resolveFragmentPath } from '../../scripts/scripts.js';
+import { CONSENT_CATEGORIES, hasConsent, setConsent } from '../../scripts/consent.js';
+import { fetchPlaceholders } from '../../scripts/i18n.js';
+import { loadFragment } from '../fragment/fragment.js';
+
+// the label and description of each consent category, unless there are placeholders for them
+const CATEGORY_TEXTS = {
+  necessary: ['Necessary', 'Required for the site to work, e.g. to remember your choices.'],
+  analytics: ['Analytics', 'Measure how the site is used, to improve it.'],
+  marketing: ['Marketing', 'Show content from other sites, like videos, which may track you.'],
+};
+
+/**
+ * Returns the authored text of the block, or else the text of the cookie-banner fragment.
+ * @param {Element} block The block element
+ * @param {object} placeholders The placeholders
+ * @returns {Promise<Element>} The text
+ */
+async function getText(block, placeholders) {
+  const text = document.createElement('div');
+  text.className = 'cookie-banner-text';
+  const cell = block.querySelector(':scope > div > div');
+  if (cell?.textContent.trim()) {
+    moveInstrumentation(cell, text);
+    text.append(...cell.childNodes);
+    return text;
+  }
+  if (!block.classList.contains('preferences')) {
+    const fragment = await loadFragment(resolveFragmentPath('cookie-banner'));
+    const content = fragment?.querySelector('.default-content-wrapper');
+    if (content) {
+      text.append(...content.childNodes);
+      return text;
+    }
+  }
+  const p = document.createElement('p');
+  p.textContent = block.classList.contains('preferences')
+    ? placeholders.cookiePreferencesText || 'Choose which cookies we may use. You can change your choice at any time.'
+    : placeholders.cookieBannerText || 'We use cookies to measure how the site is used and to show content from other sites.';
+  text.append(p);
+  return text;
+}
+
+/**
+ * Creates a button.
+ * @param {string} label The label
+ * @param {string} [type] The type of the button
+ * @returns {Element} The button
+ */
+function createButton(label, type = 'button') {
+  const button = document.createElement('button');
+  button.type = type;
+  button.className = 'button';
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Decorates the banner, asking for consent to all categories or only the necessary ones. The
+ * banner goes away once the visitor chose.
+ * @param {Element} block The block element
+ * @param {object} placeholders The placeholders
+ */
+async function decorateBanner(block, placeholders) {
+  const text = await getText(block, placeholders);
+  const actions = document.createElement('div');
+  actions.className = 'cookie-banner-actions';
+  const accept = createButton(placeholders.acceptAllCookies || 'Accept all');
+  const reject = createButton(placeholders.rejectCookies || 'Only necessary');
+  const manage = document.createElement('a');
+  manage.className = 'button secondary';
+  manage.href = resolveFragmentPath('cookie-preferences');
+  manage.textContent = placeholders.manageCookies || 'Manage preferences';
+  actions.append(accept, reject, manage);
+
+  const choose = (all) => {
+    setConsent(Object.fromEntries(CONSENT_CATEGORIES.map((category) => [category, all])));
+    (block.closest('.cookie-banner-wrapper') || block).remove();
+  };
+  accept.addEventListener('click', () => choose(true));
+  reject.addEventListener('click', () => choose(false));
+
+  block.setAttribute('role', 'region');
+  block.setAttribute('aria-label', placeholders.cookieBannerLabel || 'Cookie consent');
+  block.replaceChildren(text, actions);
+}
+
+/**
+ * Decorates the preference center, with a switch per consent category.
+ * @param {Element} block The block element
+ * @param {object} placeholders The placeholders
+ */
+async function decoratePreferences(block, placeholders) {
+  const text = await getText(block, placeholders);
+  const form = document.createElement('form');
+  form.className = 'cookie-banner-form';
+  CONSENT_CATEGORIES.forEach((category) => {
+    const [label, description] = CATEGORY_TEXTS[category] || [category, ''];
+    const key = toCamelCase(`cookies-${category}`);
+    const field = document.createElement('div');
+    field.className = 'cookie-banner-category';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = `cookie-banner-${category}`;
+    input.name = category;
+    input.checked = hasConsent(category);
+    input.disabled = category === 'necessary';
+    input.setAttribute('aria-describedby', `${input.id}-description`);
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = input.id;
+    labelEl.textContent = placeholders[key] || label;
+    const descriptionEl = document.createElement('p');
+    descriptionEl.id = `${input.id}-description`;
+    descriptionEl.textContent = placeholders[`${key}Description`] || description;
+    field.append(input, labelEl, descriptionEl);
+    form.append(field);
+  });
+  const status = document.createElement('p');
+  status.className = 'cookie-banner-status';
+  status.setAttribute('role', 'status');
+  form.append(createButton(placeholders.saveCookies || 'Save preferences', 'submit'), status);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    setConsent(Object.fromEntries(CONSENT_CATEGORIES
+      .map((category) => [category, form.elements[category].checked])));
+    status.textContent = placeholders.cookiesSaved || 'Your preferences have been saved.';
+  });
+  form.addEventListener('change', () => { status.textContent = ''; });
+
+  block.replaceChildren(text, form);
+}
+
+export default async function decorate(block) {
+  const placeholders = await fetchPlaceholders();
+  if (block.classList.contains('preferences')) {
+    await decoratePreferences(block, placeholders);
+  } else {
+    await decorateBanner(block, placeholders);
+  }
+}
@@ -0,0 +1,156 @@
+/*
+ * Embed Block
+ * Show videos directly on your page
+ * https://www.aem.live/developer/block-collection/embed
+ */
+
+import { moveInstrumentation } from '../../scripts/scripts.js';
+import { grantConsent, hasConsent, onConsentChange } from '../../scripts/consent.js';
+import { fetchPlaceholders, formatPlaceholder } from '../../scripts/i18n.js';
+
+const getDefaultEmbed = (url) => `<div class="embed-frame">
+    <iframe src="${url.href}" allowfullscreen="" allow="encrypted-media"
+      title="Content from ${url.hostname}" loading="lazy"></iframe>
+  </div>`;
+
+const embedYoutube = (url, autoplay) => {
+  const usp = new URLSearchParams(url.search);
+  const suffix = autoplay ? '&muted=1&autoplay=1' : '';
+  let vid = usp.get('v') ? encodeURIComponent(usp.get('v')) : '';
+  const embed = url.pathname;
+  if (url.origin.includes('youtu.be')) {
+    [, vid] = url.pathname.split('/');
+  }
+  const src = vid
+    ? `https://www.youtube.com/embed/${vid}?rel=0&v=${vid}${suffix}`
+    : `https://www.youtube.com${embed}`;
+  return `<div class="embed-frame">
+      <iframe src="${src}" allow="autoplay; fullscreen; picture-in-picture; encrypted-media; accelerometer; gyroscope"
+        allowfullscreen="" title="Content from Youtube" loading="lazy"></iframe>
+    </div>`;
+};
+
+const embedVimeo = (url, autoplay) => {
+  const [, video] = url.pathname.split('/');
+  const suffix = autoplay ? '?muted=1&autoplay=1' : '';
+  return `<div class="embed-frame">
+      <iframe src="https://player.vimeo.com/video/${video}${suffix}"
+        allow="autoplay; fullscreen; picture-in-picture" allowfullscreen
+        title="Content from Vimeo" loading="lazy"></iframe>
+    </div>`;
+};
+
+const EMBEDS = [
+  { match: ['youtube', 'youtu.be'], embed: embedYoutube },
+  { match: ['vimeo'], embed: embedVimeo },
+];
+
+/**
+ * Replaces the block content with the embedded iframe.
+ * @param {Element} block The embed block element
+ * @param {string} link The URL to embed
+ * @param {boolean} [autoplay] Whether the embedded video should start playing
+ */
+function loadEmbed(block, link, autoplay) {
+  if (block.classList.contains('embed-is-loaded')) return;
+  const url = new URL(link);
+  const config = EMBEDS.find((e) => e.match.some((match) => url.hostname.includes(match)));
+  if (config) {
+    block.innerHTML = config.embed(url, autoplay);
+    block.classList.add(`embed-${config.match[0]}`);
+  } else {
+    block.innerHTML = getDefaultEmbed(url);
+  }
+  block.classList.add('embed-is-loaded');
+}
+
+const observers = new WeakMap();
+
+const consentListeners = new WeakMap();
+
+/**
+ * Shows a notice instead of the embed until the visitor consents to marketing cookies, which
+ * the other sites may set.
+ * @param {Element} block The embed block element
+ * @param {string} link The URL to embed
+ * @param {object} placeholders The placeholders
+ * @param {Function} show Shows the embed
+ */
+function showConsentNotice(block, link, placeholders, show) {
+  const notice = document.createElement('div');
+  notice.className = 'embed-consent';
+  const text = document.createElement('p');
+  text.textContent = formatPlaceholder(
+    placeholders,
+    'embedConsent',
+    'This content is hosted by {host}, which may set cookies to track you.',
+    { host: new URL(link).hostname },
+  );
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button';
+  button.textContent = placeholders.embedConsentAllow || 'Allow and show';
+  button.addEventListener('click', () => grantConsent('marketing'));
+  notice.append(text, button);
+  block.append(notice);
+
+  consentListeners.set(block, onConsentChange((consent) => {
+    if (!consent.marketing) return;
+    consentListeners.get(block)();
+    consentListeners.delete(block);
+    notice.remove();
+    show();
+  }));
+}
+
+/**
+ * Shows the embed, right away behind a placeholder image to click, or else once the block
+ * scrolls into view.
+ * @param {Element} block The embed block element
+ * @param {string} link The URL to embed
+ * @param {Element} placeholder The placeholder picture, if any
+ * @param {object} placeholders The placeholders
+ */
+function decorateEmbed(block, link, placeholder, placeholders) {
+  if (placeholder) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'embed-placeholder';
+    wrapper.innerHTML = '<button type="button"><span class="embed-placeholder-play"></span></button>';
+    wrapper.querySelector('button').setAttribute('aria-label', placeholders.playVideo || 'Play video');
+    wrapper.prepend(placeholder);
+    wrapper.addEventListener('click', () => loadEmbed(block, link, true));
+    block.append(wrapper);
+  } else {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((e) => e.isIntersecting)) {
+        observer.disconnect();
+        loadEmbed(block, link);
+      }
+    });
+    observer.observe(block);
+    observers.set(block, observer);
+  }
+}
+
+export default async function decorate(block) {
+  const placeholder = block.querySelector('picture');
+  const anchor = block.querySelector('a');
+  const link = anchor ? anchor.href : block.textContent.trim();
+  if (!link) return;
+  if (anchor) moveInstrumentation(anchor, block);
+  block.textContent = '';
+  const placeholders = await fetchPlaceholders();
+  if (!hasConsent('marketing')) {
+    const show = () => decorateEmbed(block, link, placeholder, placeholders);
+    showConsentNotice(block, link, placeholders, show);
+    return;
+  }
+  decorateEmbed(block, link, placeholder, placeholders);
+}
+
+export function destroy(block) {
+  observers.get(block)?.disconnect();
+  observers.delete(block);
+  consentListeners.get(block)?.();
+  consentListeners.delete(block);
+}
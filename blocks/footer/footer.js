@@ -1,4 +1,4 @@
-import { getMetadata } from '../../scripts/aem.js';
+import { resolveFragmentPath } from '../../scripts/scripts.js';
 import { loadFragment } from '../fragment/fragment.js';
 
 /**
@@ -7,8 +7,7 @@ import { loadFragment } from '../fragment/fragment.js';
  */
 export default async function decorate(block) {
   // load footer as fragment
-  const footerMeta = getMetadata('footer');
-  const footerPath = footerMeta ? new URL(footerMeta, window.location).pathname : '/footer';
+  const footerPath = resolveFragmentPath('footer');
   const fragment = await loadFragment(footerPath);
 
   // decorate footer DOM
@@ -11,21 +11,144 @@ import {
 
 import {
   loadSections,
+  toClassName,
 } from '../../scripts/aem.js';
 
+// maximum number of fragments nested into each other
+const MAX_DEPTH = 5;
+
+// prefix of the session storage keys fragments are cached with across page views
+const STORAGE_PREFIX = 'fragment:';
+
+// fragment html by path, cached for the lifetime of the page
+const fragmentCache = new Map();
+
+/**
+ * Normalizes a fragment path, removing .plain.html and .html extensions, and the
+ * /content/dam/<site> prefix of Content Fragment references, which are published without it.
+ * @param {string} path The path to the fragment
+ * @returns {string} The normalized path
+ */
+function normalizePath(path) {
+  return path.replace(/(\.plain)?\.html/, '').replace(/^\/content\/dam\/[^/]+(?=\/)/, '');
+}
+
+/**
+ * Reads a fragment cached in the session storage.
+ * @param {string} path The normalized path to the fragment
+ * @returns {object} The cached html, etag and last modified date, or null
+ */
+function readStorage(path) {
+  try {
+    return JSON.parse(sessionStorage.getItem(`${STORAGE_PREFIX}${path}`));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Caches a fragment in the session storage.
+ * @param {string} path The normalized path to the fragment
+ * @param {object} entry The html, etag and last modified date to cache
+ */
+function writeStorage(path, entry) {
+  try {
+    sessionStorage.setItem(`${STORAGE_PREFIX}${path}`, JSON.stringify(entry));
+  } catch (e) {
+    // do nothing
+  }
+}
+
+/**
+ * Fetches the html of a fragment, revalidating a copy from the session storage with its
+ * ETag or Last-Modified date if there is one.
+ * @param {string} path The normalized path to the fragment
+ * @returns {Promise<string>} The html of the fragment, or null
+ */
+async function fetchFragment(path) {
+  const url = `${path}.plain.html`;
+  const stored = readStorage(path);
+  const headers = {};
+  // a preloaded response is only reused by a request without conditional headers
+  if (stored && !document.head.querySelector(`link[rel="preload"][href="${url}"]`)) {
+    if (stored.etag) headers['If-None-Match'] = stored.etag;
+    if (stored.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+  }
+  const resp = await fetch(url, { headers });
+  if (resp.status === 304 && stored) return stored.html;
+  if (!resp.ok) return null;
+  const html = await resp.text();
+  writeStorage(path, {
+    html,
+    etag: resp.headers.get('etag'),
+    lastModified: resp.headers.get('last-modified'),
+  });
+  return html;
+}
+
+/**
+ * Returns the html of a fragment, fetching it only once per page.
+ * @param {string} path The normalized path to the fragment
+ * @returns {Promise<string>} The html of the fragment, or null
+ */
+function getFragmentHtml(path) {
+  if (!fragmentCache.has(path)) {
+    const html = fetchFragment(path).catch(() => null);
+    fragmentCache.set(path, html);
+    // don't cache failures, the next request should try again
+    html.then((h) => { if (!h) fragmentCache.delete(path); });
+  }
+  return fragmentCache.get(path);
+}
+
+/**
+ * Removes a fragment from the caches, e.g. after it was changed in the Universal Editor.
+ * @param {string} [path] The path to the fragment, if omitted all fragments are removed
+ */
+export function invalidateFragment(path) {
+  if (path) {
+    const normalizedPath = normalizePath(path);
+    fragmentCache.delete(normalizedPath);
+    try {
+      sessionStorage.removeItem(`${STORAGE_PREFIX}${normalizedPath}`);
+    } catch (e) {
+      // do nothing
+    }
+    return;
+  }
+  fragmentCache.clear();
+  try {
+    Object.keys(sessionStorage)
+      .filter((key) => key.startsWith(STORAGE_PREFIX))
+      .forEach((key) => sessionStorage.removeItem(key));
+  } catch (e) {
+    // do nothing
+  }
+}
+
 /**
  * Loads a fragment.
  * @param {string} path The path to the fragment
+ * @param {string[]} [ancestors] The paths of the fragments this fragment is included in
  * @returns {HTMLElement} The root element of the fragment
+ * @throws {Error} If the fragment includes itself or is nested too deep
  */
-export async function loadFragment(path) {
+export async function loadFragment(path, ancestors = []) {
   if (path && path.startsWith('/')) {
     // eslint-disable-next-line no-param-reassign
-    path = path.replace(/(\.plain)?\.html/, '');
-    const resp = await fetch(`${path}.plain.html`);
-    if (resp.ok) {
+    path = normalizePath(path);
+    if (ancestors.includes(path)) {
+      throw new Error(`Fragment ${path} includes itself: ${[...ancestors, path].join(' > ')}`);
+    }
+    if (ancestors.length >= MAX_DEPTH) {
+      throw new Error(`Fragment ${path} is nested more than ${MAX_DEPTH} levels deep`);
+    }
+    const html = await getFragmentHtml(path);
+    if (html) {
       const main = document.createElement('main');
-      main.innerHTML = await resp.text();
+      // nested fragment blocks read the chain of their ancestors from here
+      main.dataset.fragmentChain = JSON.stringify([...ancestors, path]);
+      main.innerHTML = html;
 
       // reset base path for media to fragment base
       const resetAttributeBase = (tag, attr) => {
@@ -44,11 +167,67 @@ export async function loadFragment(path) {
   return null;
 }
 
+/**
+ * Replaces the content of the block with an error message.
+ * @param {Element} block The fragment block
+ * @param {string} message The error message
+ */
+function showError(block, message) {
+  const placeholder = document.createElement('p');
+  placeholder.className = 'fragment-error';
+  placeholder.setAttribute('role', 'alert');
+  placeholder.textContent = message;
+  block.replaceChildren(placeholder);
+}
+
+/**
+ * Finds the section with the given name, or else the first block with the given name,
+ * in a fragment. Section names come from the name field of the section model.
+ * @param {Element} fragment The root element of the fragment
+ * @param {string} selector The name of the section or block, with or without leading #
+ * @returns {Element} The section or the block, or undefined
+ */
+function selectContent(fragment, selector) {
+  const name = toClassName(selector.replace(/^#/, ''));
+  const sections = [...fragment.querySelectorAll(':scope > .section')];
+  return sections.find((section) => toClassName(section.dataset.name) === name)
+    || fragment.querySelector(`:scope > .section .block[data-block-name="${name}"]`);
+}
+
 export default async function decorate(block) {
+  // the reference may carry the selector as hash, the editor provides it as separate field
+  const [referenceRow, selectorRow] = block.children;
   const link = block.querySelector('a');
-  const path = link ? link.getAttribute('href') : block.textContent.trim();
-  const fragment = await loadFragment(path);
-  if (fragment) {
+  const reference = link ? link.getAttribute('href') : referenceRow?.textContent.trim();
+  const [path, hash] = (reference || '').split('#');
+  const selector = selectorRow?.textContent.trim() || hash;
+  const parent = block.closest('[data-fragment-chain]');
+  const ancestors = parent ? JSON.parse(parent.dataset.fragmentChain) : [];
+  let fragment;
+  try {
+    fragment = await loadFragment(path, ancestors);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(error);
+    showError(block, error.message);
+    return;
+  }
+  if (!fragment) return;
+
+  if (selector) {
+    const content = selectContent(fragment, selector);
+    if (!content) {
+      showError(block, `Fragment ${path} has no section or block named ${selector}`);
+    } else if (content.matches('.section')) {
+      block.classList.add(...content.classList);
+      block.classList.remove('section');
+      block.replaceChildren(...content.childNodes);
+    } else {
+      block.replaceChildren(content.parentElement);
+    }
+  } else if (block.classList.contains('all-sections')) {
+    block.replaceChildren(...fragment.querySelectorAll(':scope > .section'));
+  } else {
     const fragmentSection = fragment.querySelector(':scope .section');
     if (fragmentSection) {
       block.classList.add(...fragmentSection.classList);
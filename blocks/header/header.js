@@ -1,18 +1,125 @@
-import { getMetadata } from '../../scripts/aem.js';
+import { decorateIcons, getMetadata, toClassName } from '../../scripts/aem.js';
+import { hasBreadcrumbs, resolveFragmentPath } from '../../scripts/scripts.js';
+import {
+  fetchPlaceholders,
+  formatPlaceholder,
+  getLocale,
+  getLocales,
+  getTranslations,
+  localizePath,
+  setPreferredLocale,
+} from '../../scripts/i18n.js';
 import { loadFragment } from '../fragment/fragment.js';
+import {
+  SEARCH_PAGE,
+  createSearchForm,
+  getTerms,
+  queryLocaleIndex,
+  rankEntries,
+  renderResult,
+} from '../search/search.js';
+
+// number of results shown in the search overlay
+const SEARCH_RESULTS_LIMIT = 8;
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia('(min-width: 900px)');
 
+// used to create unique ids for the drop panels
+let navPanelCount = 0;
+
+// ui strings of the locale of the page, fetched before the nav is decorated
+let placeholders = {};
+
+// teardown of the listeners and elements outside of the header block, by block
+const teardowns = new WeakMap();
+
+// the structured data of the breadcrumbs, replaced when the header is decorated again
+let breadcrumbsLdJson;
+
+/**
+ * Returns the label of a drop, i.e. its link or button.
+ * @param {Element} drop The nav drop list item
+ * @returns {Element} The trigger element
+ */
+function getTrigger(drop) {
+  return drop.querySelector(':scope > .nav-drop-trigger');
+}
+
+/**
+ * Expands or collapses a drop, collapsing all nested drops with it.
+ * @param {Element} drop The nav drop list item
+ * @param {Boolean} expanded Whether the drop should be expanded or collapsed
+ */
+function setExpanded(drop, expanded) {
+  getTrigger(drop).setAttribute('aria-expanded', expanded ? 'true' : 'false');
+  if (!expanded) {
+    drop.querySelectorAll('.nav-drop-trigger[aria-expanded="true"]').forEach((trigger) => {
+      trigger.setAttribute('aria-expanded', 'false');
+    });
+  }
+}
+
+/**
+ * Returns the items of a menu or mega menu panel that can currently be focused.
+ * @param {Element} list The menubar, menu or mega menu panel
+ * @returns {Element[]} The focusable items
+ */
+function getItems(list) {
+  const items = list.classList.contains('nav-mega')
+    ? list.querySelectorAll('a[href], button')
+    : list.querySelectorAll(':scope > li > [role="menuitem"]');
+  return [...items].filter((item) => item.getClientRects().length);
+}
+
+/**
+ * Moves the focus to an item of a list, wrapping around at both ends. Only the focused item
+ * of the menubar is in the tab order.
+ * @param {Element[]} items The focusable items
+ * @param {number} index The index of the item to focus
+ */
+function focusItem(items, index) {
+  const item = items[(index + items.length) % items.length];
+  if (!item) return;
+  const menubar = item.closest('[role="menubar"]');
+  if (item.parentElement.parentElement === menubar) {
+    menubar.querySelectorAll(':scope > li > [role="menuitem"]')
+      .forEach((i) => i.setAttribute('tabindex', -1));
+    item.setAttribute('tabindex', 0);
+  }
+  item.focus();
+}
+
+/**
+ * Expands a drop and moves the focus to the first item of its panel.
+ * @param {Element} drop The nav drop list item
+ */
+function openAndFocus(drop) {
+  setExpanded(drop, true);
+  const panel = drop.querySelector(':scope > [role="menu"], :scope > .nav-mega');
+  focusItem(getItems(panel), 0);
+}
+
+/**
+ * Toggles all nav sections
+ * @param {Element} sections The container element
+ * @param {Boolean} expanded Whether the element should be expanded or collapsed
+ */
+function toggleAllNavSections(sections, expanded = false) {
+  sections.querySelectorAll('.nav-drop').forEach((drop) => {
+    setExpanded(drop, expanded);
+  });
+}
+
 function closeOnEscape(e) {
   if (e.code === 'Escape') {
     const nav = document.getElementById('nav');
     const navSections = nav.querySelector('.nav-sections');
-    const navSectionExpanded = navSections.querySelector('[aria-expanded="true"]');
-    if (navSectionExpanded && isDesktop.matches) {
-      // eslint-disable-next-line no-use-before-define
-      toggleAllNavSections(navSections);
-      navSectionExpanded.focus();
+    // the innermost expanded drop comes last in document order
+    const expandedTrigger = [...navSections.querySelectorAll('.nav-drop-trigger[aria-expanded="true"]')].pop();
+    if (expandedTrigger) {
+      setExpanded(expandedTrigger.parentElement, false);
+      expandedTrigger.focus();
     } else if (!isDesktop.matches) {
       // eslint-disable-next-line no-use-before-define
       toggleMenu(nav, navSections);
@@ -27,7 +134,6 @@ function closeOnFocusLost(e) {
     const navSections = nav.querySelector('.nav-sections');
     const navSectionExpanded = navSections.querySelector('[aria-expanded="true"]');
     if (navSectionExpanded && isDesktop.matches) {
-      // eslint-disable-next-line no-use-before-define
       toggleAllNavSections(navSections, false);
     } else if (!isDesktop.matches) {
       // eslint-disable-next-line no-use-before-define
@@ -36,30 +142,484 @@ function closeOnFocusLost(e) {
   }
 }
 
-function openOnKeydown(e) {
-  const focused = document.activeElement;
-  const isNavDrop = focused.className === 'nav-drop';
-  if (isNavDrop && (e.code === 'Enter' || e.code === 'Space')) {
-    const dropExpanded = focused.getAttribute('aria-expanded') === 'true';
-    // eslint-disable-next-line no-use-before-define
-    toggleAllNavSections(focused.closest('.nav-sections'));
-    focused.setAttribute('aria-expanded', dropExpanded ? 'false' : 'true');
+/**
+ * Arrow key navigation between the items of the menubar, menus and mega menu panels.
+ * @param {KeyboardEvent} e The keydown event
+ */
+function navigateOnKeydown(e) {
+  const list = e.target.closest('[role="menubar"], [role="menu"], .nav-mega');
+  if (!list) return;
+  const items = getItems(list);
+  const index = items.indexOf(e.target);
+  const horizontal = list.getAttribute('aria-orientation') === 'horizontal';
+  const drop = e.target.classList.contains('nav-drop-trigger') ? e.target.parentElement : null;
+  const parentDrop = list.closest('.nav-drop');
+  const menubar = list.closest('.nav-sections').querySelector('[role="menubar"]');
+  const inFirstLevel = parentDrop && parentDrop.parentElement === menubar;
+  let handled = true;
+  if (e.key === (horizontal ? 'ArrowRight' : 'ArrowDown')) {
+    focusItem(items, index + 1);
+  } else if (e.key === (horizontal ? 'ArrowLeft' : 'ArrowUp')) {
+    focusItem(items, index - 1);
+  } else if (e.key === 'Home') {
+    focusItem(items, 0);
+  } else if (e.key === 'End') {
+    focusItem(items, items.length - 1);
+  } else if (drop && (e.key === (horizontal ? 'ArrowDown' : 'ArrowRight')
+    || (e.key === ' ' && e.target.tagName === 'A'))) {
+    openAndFocus(drop);
+  } else if (inFirstLevel && isDesktop.matches && ['ArrowLeft', 'ArrowRight'].includes(e.key)) {
+    // leave the first level menu for the neighbouring menubar item
+    setExpanded(parentDrop, false);
+    const menubarItems = getItems(menubar);
+    const parentIndex = menubarItems.indexOf(getTrigger(parentDrop));
+    focusItem(menubarItems, parentIndex + (e.key === 'ArrowRight' ? 1 : -1));
+  } else if (parentDrop && e.key === 'ArrowLeft') {
+    setExpanded(parentDrop, false);
+    getTrigger(parentDrop).focus();
+  } else {
+    handled = false;
   }
+  if (handled) e.preventDefault();
 }
 
-function focusNavSection() {
-  document.activeElement.addEventListener('keydown', openOnKeydown);
+/**
+ * Creates the back button of a drop panel, used to drill up on mobile.
+ * @param {Element} drop The nav drop list item
+ * @returns {Element} The back button
+ */
+function createBackButton(drop) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'nav-back';
+  button.textContent = getTrigger(drop).textContent.trim();
+  button.setAttribute('aria-label', formatPlaceholder(placeholders, 'backFrom', 'Back from {label}', {
+    label: button.textContent,
+  }));
+  button.addEventListener('click', () => {
+    setExpanded(drop, false);
+    getTrigger(drop).focus();
+  });
+  return button;
 }
 
 /**
- * Toggles all nav sections
- * @param {Element} sections The container element
- * @param {Boolean} expanded Whether the element should be expanded or collapsed
+ * Decorates the items of a nav list as menu items, turning items with nested lists or mega
+ * menu panels into drops. Nested lists become menus and are decorated recursively.
+ * @param {Element} ul The list element
+ * @param {Element[]} megaPanels Sections of the nav fragment to use as mega menu panels
  */
-function toggleAllNavSections(sections, expanded = false) {
-  sections.querySelectorAll('.nav-sections .default-content-wrapper > ul > li').forEach((section) => {
-    section.setAttribute('aria-expanded', expanded);
+function decorateNavList(ul, megaPanels = []) {
+  [...ul.children].forEach((li) => {
+    li.setAttribute('role', 'none');
+    const subList = li.querySelector(':scope > ul');
+    const labelNodes = [...li.childNodes].filter((node) => node !== subList);
+    const label = labelNodes.map((node) => node.textContent).join('').trim();
+    const link = labelNodes
+      .filter((node) => node.nodeType === Node.ELEMENT_NODE)
+      .map((el) => (el.tagName === 'A' ? el : el.querySelector('a')))
+      .find(Boolean);
+    const megaPanel = megaPanels
+      .find((section) => toClassName(section.dataset.name) === toClassName(label));
+
+    if (!subList && !megaPanel) {
+      if (link) link.setAttribute('role', 'menuitem');
+      return;
+    }
+
+    li.classList.add('nav-drop');
+    let trigger = link;
+    if (!trigger) {
+      trigger = document.createElement('button');
+      trigger.type = 'button';
+      trigger.textContent = label;
+    }
+    trigger.classList.add('nav-drop-trigger');
+    trigger.setAttribute('role', 'menuitem');
+    trigger.setAttribute('aria-haspopup', 'true');
+    trigger.setAttribute('aria-expanded', 'false');
+    labelNodes.forEach((node) => node.remove());
+    li.prepend(trigger);
+
+    // links keep navigating on click, a separate toggle opens their drop
+    const toggle = link ? document.createElement('button') : trigger;
+    if (link) {
+      toggle.type = 'button';
+      toggle.className = 'nav-drop-toggle';
+      toggle.tabIndex = -1;
+      toggle.setAttribute('aria-hidden', 'true');
+      trigger.after(toggle);
+    }
+
+    let panel = subList;
+    if (megaPanel) {
+      panel = megaPanel;
+      panel.classList.add('nav-mega');
+      panel.setAttribute('role', 'group');
+      panel.setAttribute('aria-label', label);
+      if (subList) panel.prepend(subList);
+      li.append(panel);
+    } else {
+      subList.setAttribute('role', 'menu');
+      subList.setAttribute('aria-label', label);
+      decorateNavList(subList);
+    }
+    navPanelCount += 1;
+    panel.id = panel.id || `nav-panel-${navPanelCount}`;
+    trigger.setAttribute('aria-controls', panel.id);
+    if (panel.matches('[role="menu"]')) {
+      const backItem = document.createElement('li');
+      backItem.setAttribute('role', 'none');
+      backItem.className = 'nav-back-item';
+      const back = createBackButton(li);
+      back.setAttribute('role', 'menuitem');
+      backItem.append(back);
+      panel.prepend(backItem);
+    } else {
+      panel.prepend(createBackButton(li));
+    }
+
+    toggle.addEventListener('click', (e) => {
+      const expanded = trigger.getAttribute('aria-expanded') === 'true';
+      if (isDesktop.matches) {
+        // only one drop per level is open on desktop
+        [...ul.children]
+          .filter((sibling) => sibling !== li && sibling.classList.contains('nav-drop'))
+          .forEach((sibling) => setExpanded(sibling, false));
+      }
+      // clicks from the keyboard move the focus into the panel
+      if (!expanded && e.detail === 0) openAndFocus(li);
+      else setExpanded(li, !expanded);
+    });
+  });
+}
+
+/**
+ * Normalizes a path for comparison, removing extensions and trailing slashes.
+ * @param {string} path The path
+ * @returns {string} The normalized path
+ */
+function normalizePath(path) {
+  return path.replace(/(\.plain)?\.html$/, '').replace(/\/$/, '') || '/';
+}
+
+/**
+ * Marks the nav link of the current page with aria-current and all list items containing it
+ * as active trail. Links match the current path exactly or, unless the nav-match metadata is
+ * set to exact, by the longest path prefix. Prefix matches get aria-current="true" as they
+ * represent a parent of the current page.
+ * @param {Element} navSections The nav sections
+ * @returns {Element} The active link, or null
+ */
+function decorateActiveTrail(navSections) {
+  const current = normalizePath(window.location.pathname);
+  const links = [...navSections.querySelectorAll('a[href]')]
+    .map((a) => ({ a, url: new URL(a.href, window.location.href) }))
+    .filter(({ url }) => url.origin === window.location.origin)
+    .map(({ a, url }) => ({ a, path: normalizePath(url.pathname) }));
+  let active = links.find(({ path }) => path === current);
+  if (active) {
+    active.a.setAttribute('aria-current', 'page');
+  } else if (getMetadata('nav-match').toLowerCase() !== 'exact') {
+    [active] = links
+      .filter(({ path }) => path !== '/' && current.startsWith(`${path}/`))
+      .sort((x, y) => y.path.length - x.path.length);
+    active?.a.setAttribute('aria-current', 'true');
+  }
+  if (!active) return null;
+
+  let li = active.a.closest('li');
+  while (li && navSections.contains(li)) {
+    li.classList.add('nav-active');
+    li = li.parentElement.closest('li');
+  }
+  return active.a;
+}
+
+/**
+ * Expands the drops containing the active link, so the mobile menu opens where the current
+ * page is.
+ * @param {Element} navSections The nav sections
+ */
+function expandActiveTrail(navSections) {
+  navSections.querySelectorAll('.nav-drop.nav-active').forEach((drop) => {
+    const trigger = getTrigger(drop);
+    if (trigger.getAttribute('aria-current') !== 'page') setExpanded(drop, true);
+  });
+}
+
+/**
+ * Builds the breadcrumbs from the nav items containing the active link, and adds them as
+ * BreadcrumbList structured data to the head.
+ * @param {Element} activeLink The nav link of the current page, or of one of its parents
+ * @returns {Element} The breadcrumbs
+ */
+function buildBreadcrumbs(activeLink) {
+  const crumbs = [{
+    name: placeholders.home || 'Home',
+    url: new URL(localizePath('/'), window.location.href).href,
+  }];
+  const trail = [];
+  let li = activeLink?.closest('li');
+  while (li?.classList.contains('nav-active')) {
+    const label = li.querySelector(':scope > .nav-drop-trigger, :scope > a');
+    if (label) trail.unshift(label);
+    li = li.parentElement.closest('li');
+  }
+  trail.forEach((label) => {
+    const url = label.href ? new URL(label.href, window.location.href).href : null;
+    if (!crumbs.some((crumb) => url && crumb.url === url)) {
+      crumbs.push({ name: label.textContent.trim(), url });
+    }
+  });
+  if (activeLink?.getAttribute('aria-current') !== 'page') {
+    const title = getMetadata('og:title') || document.title;
+    crumbs.push({ name: title, url: window.location.href });
+  }
+
+  // not a nav element, to stay clear of the nav styles
+  const breadcrumbs = document.createElement('div');
+  breadcrumbs.className = 'breadcrumbs';
+  breadcrumbs.setAttribute('role', 'navigation');
+  breadcrumbs.setAttribute('aria-label', placeholders.breadcrumb || 'Breadcrumb');
+  const ol = document.createElement('ol');
+  crumbs.forEach(({ name, url }, i) => {
+    const item = document.createElement('li');
+    if (i === crumbs.length - 1) {
+      item.textContent = name;
+      item.setAttribute('aria-current', 'page');
+    } else if (url) {
+      const a = document.createElement('a');
+      a.href = url;
+      a.textContent = name;
+      item.append(a);
+    } else {
+      item.textContent = name;
+    }
+    ol.append(item);
+  });
+  breadcrumbs.append(ol);
+
+  breadcrumbsLdJson?.remove();
+  breadcrumbsLdJson = document.createElement('script');
+  breadcrumbsLdJson.type = 'application/ld+json';
+  breadcrumbsLdJson.textContent = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    // items without a page of their own can't be part of the structured data
+    itemListElement: crumbs.filter(({ url }) => url).map(({ name, url }, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name,
+      item: url,
+    })),
   });
+  document.head.append(breadcrumbsLdJson);
+  return breadcrumbs;
+}
+
+/**
+ * Creates an option of the nav search results, a link the visitor can click. The link is kept
+ * out of the tab order, the arrow keys move between the options.
+ * @param {string} id The id of the option
+ * @param {string} href The url the option leads to
+ * @returns {Element} The option, with the link as its only child
+ */
+function createOption(id, href) {
+  const option = document.createElement('li');
+  option.id = id;
+  option.setAttribute('role', 'option');
+  option.setAttribute('aria-selected', 'false');
+  const a = document.createElement('a');
+  a.href = href;
+  a.tabIndex = -1;
+  option.append(a);
+  return option;
+}
+
+/**
+ * Adds a search button to the nav tools, opening an overlay that searches the query index
+ * while typing. Results are options of a listbox, navigable with the arrow keys.
+ * @param {Element} navTools The nav tools
+ */
+function decorateSearch(navTools) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'nav-search-button';
+  button.setAttribute('aria-label', placeholders.search || 'Search');
+  button.setAttribute('aria-expanded', 'false');
+  button.setAttribute('aria-controls', 'nav-search');
+  button.innerHTML = '<span class="icon icon-search"></span>';
+  decorateIcons(button);
+
+  const overlay = document.createElement('div');
+  overlay.id = 'nav-search';
+  overlay.className = 'nav-search';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-label', placeholders.search || 'Search');
+  overlay.hidden = true;
+  const form = createSearchForm('', placeholders);
+  const input = form.querySelector('input');
+  const results = document.createElement('ul');
+  results.id = 'nav-search-results';
+  results.className = 'nav-search-results';
+  results.setAttribute('role', 'listbox');
+  results.setAttribute('aria-label', placeholders.searchResults || 'Search results');
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-controls', results.id);
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  overlay.append(form, results);
+
+  const getOptions = () => [...results.querySelectorAll('[role="option"]')];
+  const setActive = (option) => {
+    getOptions().forEach((o) => o.setAttribute('aria-selected', o === option ? 'true' : 'false'));
+    if (option) {
+      input.setAttribute('aria-activedescendant', option.id);
+      option.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const close = () => {
+    overlay.hidden = true;
+    button.setAttribute('aria-expanded', 'false');
+    button.focus();
+  };
+
+  const search = async () => {
+    const terms = getTerms(input.value);
+    const entries = rankEntries(await queryLocaleIndex(), terms);
+    const options = entries.slice(0, SEARCH_RESULTS_LIMIT).map((entry, i) => {
+      const option = createOption(`nav-search-result-${i}`, entry.path);
+      renderResult(option.firstElementChild, entry, terms);
+      return option;
+    });
+    if (entries.length > SEARCH_RESULTS_LIMIT) {
+      const all = createOption(
+        'nav-search-result-all',
+        `${localizePath(SEARCH_PAGE)}?q=${encodeURIComponent(input.value)}`,
+      );
+      all.className = 'nav-search-all';
+      all.firstElementChild.textContent = formatPlaceholder(placeholders, 'seeAllResults', 'See all {count} results', {
+        count: entries.length,
+      });
+      options.push(all);
+    }
+    results.replaceChildren(...options);
+    input.setAttribute('aria-expanded', options.length ? 'true' : 'false');
+    setActive(null);
+  };
+
+  let timeout;
+  input.addEventListener('input', () => {
+    window.clearTimeout(timeout);
+    timeout = window.setTimeout(search, 150);
+  });
+  input.addEventListener('keydown', (e) => {
+    const options = getOptions();
+    const index = options.findIndex((o) => o.getAttribute('aria-selected') === 'true');
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive(options[(index + step + options.length) % options.length]);
+    } else if (e.key === 'Enter' && index >= 0) {
+      e.preventDefault();
+      options[index].firstElementChild.click();
+    } else if (e.key === 'Escape') {
+      // don't let the nav close as well
+      e.stopPropagation();
+      close();
+    }
+  });
+  overlay.addEventListener('focusout', (e) => {
+    if (!overlay.contains(e.relatedTarget) && e.relatedTarget !== button) {
+      overlay.hidden = true;
+      button.setAttribute('aria-expanded', 'false');
+    }
+  });
+
+  button.addEventListener('click', () => {
+    const expanded = button.getAttribute('aria-expanded') === 'true';
+    if (expanded) {
+      close();
+    } else {
+      overlay.hidden = false;
+      button.setAttribute('aria-expanded', 'true');
+      input.focus();
+      // start loading the index while the visitor types
+      queryLocaleIndex();
+    }
+  });
+
+  navTools.append(button, overlay);
+}
+
+/**
+ * Adds a language switcher to the nav tools, listing the locales of the site. Each links to the
+ * translation of the page, or to the home page of the locale if there is none, and remembers the
+ * choice of the visitor. The translations are fetched when the switcher is first opened.
+ * @param {Element} navTools The nav tools
+ */
+function decorateLanguageSwitcher(navTools) {
+  const { locale } = getLocale();
+  const switcher = document.createElement('div');
+  switcher.className = 'nav-language';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'nav-language-button';
+  button.textContent = locale.toUpperCase();
+  button.setAttribute('aria-label', formatPlaceholder(placeholders, 'language', 'Language: {name}', {
+    name: getLocales()[locale].name,
+  }));
+  button.setAttribute('aria-expanded', 'false');
+  button.setAttribute('aria-controls', 'nav-language-list');
+
+  const list = document.createElement('ul');
+  list.id = 'nav-language-list';
+  list.className = 'nav-language-list';
+  list.hidden = true;
+  Object.entries(getLocales()).forEach(([key, { lang, name }]) => {
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.href = localizePath('/', key);
+    a.lang = lang;
+    a.hreflang = lang;
+    a.dataset.locale = key;
+    a.textContent = name;
+    if (key === locale) a.setAttribute('aria-current', 'true');
+    a.addEventListener('click', () => setPreferredLocale(key));
+    li.append(a);
+    list.append(li);
+  });
+  let translated = false;
+  const setOpen = (open) => {
+    list.hidden = !open;
+    button.setAttribute('aria-expanded', open ? 'true' : 'false');
+    if (!open || translated) return;
+    translated = true;
+    // the links lead to the home pages until the translations are known
+    getTranslations().then((translations) => {
+      list.querySelectorAll('a').forEach((a) => {
+        if (translations[a.dataset.locale]) a.href = translations[a.dataset.locale];
+      });
+    });
+  };
+  button.addEventListener('click', () => setOpen(list.hidden));
+  switcher.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || list.hidden) return;
+    // don't let the nav close as well
+    e.stopPropagation();
+    setOpen(false);
+    button.focus();
+  });
+  switcher.addEventListener('focusout', (e) => {
+    if (!switcher.contains(e.relatedTarget)) setOpen(false);
+  });
+
+  switcher.append(button, list);
+  navTools.append(switcher);
 }
 
 /**
@@ -73,23 +633,14 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
   const button = nav.querySelector('.nav-hamburger button');
   document.body.style.overflowY = (expanded || isDesktop.matches) ? '' : 'hidden';
   nav.setAttribute('aria-expanded', expanded ? 'false' : 'true');
-  toggleAllNavSections(navSections, expanded || isDesktop.matches ? 'false' : 'true');
-  button.setAttribute('aria-label', expanded ? 'Open navigation' : 'Close navigation');
-  // enable nav dropdown keyboard accessibility
-  const navDrops = navSections.querySelectorAll('.nav-drop');
-  if (isDesktop.matches) {
-    navDrops.forEach((drop) => {
-      if (!drop.hasAttribute('tabindex')) {
-        drop.setAttribute('tabindex', 0);
-        drop.addEventListener('focus', focusNavSection);
-      }
-    });
-  } else {
-    navDrops.forEach((drop) => {
-      drop.removeAttribute('tabindex');
-      drop.removeEventListener('focus', focusNavSection);
-    });
-  }
+  // on mobile the menu opens at the level of the current page
+  toggleAllNavSections(navSections, false);
+  if (!expanded && !isDesktop.matches) expandActiveTrail(navSections);
+  button.setAttribute('aria-label', expanded
+    ? placeholders.openNavigation || 'Open navigation'
+    : placeholders.closeNavigation || 'Close navigation');
+  navSections.querySelector('[role="menubar"]')
+    ?.setAttribute('aria-orientation', isDesktop.matches ? 'horizontal' : 'vertical');
 
   // enable menu collapse on escape keypress
   if (!expanded || isDesktop.matches) {
@@ -109,9 +660,9 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
  */
 export default async function decorate(block) {
   // load nav as fragment
-  const navMeta = getMetadata('nav');
-  const navPath = navMeta ? new URL(navMeta, window.location).pathname : '/nav';
-  const fragment = await loadFragment(navPath);
+  const navPath = resolveFragmentPath('nav');
+  const [fragment, texts] = await Promise.all([loadFragment(navPath), fetchPlaceholders()]);
+  placeholders = texts;
 
   // decorate nav DOM
   block.textContent = '';
@@ -133,34 +684,69 @@ export default async function decorate(block) {
   }
 
   const navSections = nav.querySelector('.nav-sections');
+  let activeLink = null;
   if (navSections) {
-    navSections.querySelectorAll(':scope .default-content-wrapper > ul > li').forEach((navSection) => {
-      if (navSection.querySelector('ul')) navSection.classList.add('nav-drop');
-      navSection.addEventListener('click', () => {
-        if (isDesktop.matches) {
-          const expanded = navSection.getAttribute('aria-expanded') === 'true';
-          toggleAllNavSections(navSections);
-          navSection.setAttribute('aria-expanded', expanded ? 'false' : 'true');
-        }
-      });
-    });
+    // further named sections of the nav fragment are mega menu panels of the matching items
+    const megaPanels = [...nav.children].slice(classes.length)
+      .filter((section) => section.dataset.name);
+    const menubar = navSections.querySelector(':scope .default-content-wrapper > ul');
+    if (menubar) {
+      menubar.setAttribute('role', 'menubar');
+      menubar.setAttribute('aria-label', placeholders.mainNavigation || 'Main navigation');
+      decorateNavList(menubar, megaPanels);
+      // roving tabindex, only one item of the menubar is in the tab order at a time
+      menubar.querySelectorAll(':scope > li > [role="menuitem"]')
+        .forEach((item, i) => item.setAttribute('tabindex', i ? -1 : 0));
+      menubar.querySelectorAll('[role="menu"] [role="menuitem"]')
+        .forEach((item) => item.setAttribute('tabindex', -1));
+      navSections.addEventListener('keydown', navigateOnKeydown);
+    }
+    activeLink = decorateActiveTrail(navSections);
+  }
+
+  const navTools = nav.querySelector('.nav-tools');
+  if (navTools) {
+    decorateSearch(navTools);
+    if (Object.keys(getLocales()).length > 1) decorateLanguageSwitcher(navTools);
   }
 
   // hamburger for mobile
   const hamburger = document.createElement('div');
   hamburger.classList.add('nav-hamburger');
-  hamburger.innerHTML = `<button type="button" aria-controls="nav" aria-label="Open navigation">
+  hamburger.innerHTML = `<button type="button" aria-controls="nav">
       <span class="nav-hamburger-icon"></span>
     </button>`;
+  hamburger.querySelector('button')
+    .setAttribute('aria-label', placeholders.openNavigation || 'Open navigation');
   hamburger.addEventListener('click', () => toggleMenu(nav, navSections));
   nav.prepend(hamburger);
   nav.setAttribute('aria-expanded', 'false');
   // prevent mobile nav behavior on window resize
   toggleMenu(nav, navSections, isDesktop.matches);
-  isDesktop.addEventListener('change', () => toggleMenu(nav, navSections, isDesktop.matches));
+  const onBreakpointChange = () => toggleMenu(nav, navSections, isDesktop.matches);
+  isDesktop.addEventListener('change', onBreakpointChange);
+  teardowns.set(block, () => {
+    isDesktop.removeEventListener('change', onBreakpointChange);
+    window.removeEventListener('keydown', closeOnEscape);
+    document.body.style.overflowY = '';
+    breadcrumbsLdJson?.remove();
+    breadcrumbsLdJson = null;
+  });
 
   const navWrapper = document.createElement('div');
   navWrapper.className = 'nav-wrapper';
   navWrapper.append(nav);
+  // the height of the header is reserved for the breadcrumbs in loadEager
+  if (hasBreadcrumbs()) navWrapper.append(buildBreadcrumbs(activeLink));
   block.append(navWrapper);
 }
+
+/**
+ * Removes the listeners and the structured data of the header outside of the block, before it is
+ * re-decorated
+ * @param {Element} block The header block element
+ */
+export function destroy(block) {
+  teardowns.get(block)?.();
+  teardowns.delete(block);
+}
@@ -0,0 +1,110 @@
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { getFocalPoint, moveInstrumentation } from '../../scripts/scripts.js';
+
+// variants that decide where the image goes, the first one found wins
+const LAYOUTS = ['split-left', 'split-right', 'video'];
+
+/**
+ * Replaces the authored picture with an optimized, eagerly loaded one, as the hero image
+ * usually is the LCP candidate. The alt text comes from the imageAlt field of the model,
+ * which the Universal Editor collapses into the alt attribute of the image. Small screens get
+ * the width closest to their resolution.
+ * @param {Element} picture The authored picture
+ * @param {boolean} split Whether the image only takes half of the hero on desktop
+ * @param {{x: number, y: number}} [focalPoint] The point to keep in view when it is cropped
+ * @returns {Element} The optimized picture
+ */
+function optimizePicture(picture, split, focalPoint) {
+  const img = picture.querySelector('img');
+  const optimizedPicture = createOptimizedPicture(img.src, img.alt, true, [
+    { media: '(min-width: 900px)', width: split ? '1200' : '2000' },
+    { widths: ['450', '900'] },
+  ], {
+    // the authored dimensions reserve the space of the image before it loads
+    width: img.getAttribute('width'),
+    height: img.getAttribute('height'),
+    sizes: '100vw',
+    focalPoint,
+  });
+  const optimizedImg = optimizedPicture.querySelector('img');
+  optimizedImg.setAttribute('fetchpriority', 'high');
+  moveInstrumentation(img, optimizedImg);
+  return optimizedPicture;
+}
+
+/**
+ * Creates a muted, looping background video that fades in over the poster image once it can
+ * play. Visitors who prefer reduced motion only get the image.
+ * @param {string} src The video URL
+ * @returns {Element} The video element
+ */
+function createBackgroundVideo(src) {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.setAttribute('aria-hidden', 'true');
+  video.preload = 'none';
+  const source = document.createElement('source');
+  source.src = src;
+  source.type = `video/${src.split('?')[0].split('.').pop() === 'webm' ? 'webm' : 'mp4'}`;
+  video.append(source);
+  if (!window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+    video.addEventListener('canplay', () => video.classList.add('hero-video-playing'), { once: true });
+    // start the video only after the page finished loading to not compete with the lcp image
+    const play = () => video.play().catch(() => {});
+    if (document.readyState === 'complete') play();
+    else window.addEventListener('load', play, { once: true });
+  }
+  return video;
+}
+
+export default function decorate(block) {
+  const layout = LAYOUTS.find((variant) => block.classList.contains(variant));
+  LAYOUTS
+    .filter((variant) => variant !== layout)
+    .forEach((variant) => block.classList.remove(variant));
+
+  const media = document.createElement('div');
+  media.className = 'hero-media';
+  const content = document.createElement('div');
+  content.className = 'hero-content';
+
+  const picture = block.querySelector('picture');
+  if (picture) {
+    const pictureParent = picture.parentElement;
+    const split = layout === 'split-left' || layout === 'split-right';
+    media.append(optimizePicture(picture, split, getFocalPoint(block)));
+    picture.remove();
+    if (pictureParent.tagName === 'P' && !pictureParent.hasChildNodes()) {
+      moveInstrumentation(pictureParent, media);
+      pictureParent.remove();
+    }
+  }
+
+  const videoLink = [...block.querySelectorAll('a[href]')]
+    .find((a) => /\.(mp4|webm)$/.test(new URL(a.href, window.location.href).pathname));
+  if (videoLink) {
+    if (layout === 'video') media.append(createBackgroundVideo(videoLink.href));
+    const videoParent = videoLink.closest('p') || videoLink;
+    moveInstrumentation(videoParent, media);
+    videoParent.remove();
+  }
+
+  // keep empty but instrumented cells, so authors can still select them in the editor
+  const isInstrumented = (cell) => [...cell.attributes]
+    .some(({ nodeName }) => nodeName.startsWith('data-aue-') || nodeName.startsWith('data-richtext-'));
+  [...block.children].forEach((row) => {
+    [...row.children].forEach((cell) => {
+      if (cell.textContent.trim() || isInstrumented(cell)) {
+        const wrapper = document.createElement('div');
+        moveInstrumentation(cell, wrapper);
+        wrapper.append(...cell.childNodes);
+        content.append(wrapper);
+      }
+    });
+  });
+
+  block.replaceChildren(...(media.hasChildNodes() ? [media] : []), content);
+  if (!media.hasChildNodes()) block.classList.add('no-image');
+}
@@ -0,0 +1,161 @@
+import { createOptimizedPicture, toClassName } from '../../scripts/aem.js';
+import { getBlockConfig } from '../../scripts/block-config.js';
+import { queryIndex } from '../../scripts/query-index.js';
+import { fetchPlaceholders, formatPlaceholder } from '../../scripts/i18n.js';
+
+const DISPLAY_STYLES = ['grid', 'list', 'compact'];
+
+const DEFAULT_PAGE_SIZE = 6;
+
+// the fields of the rows of the block, in the order of its model, and their defaults
+const FIELDS = ['path', 'tags', 'template', 'sort', 'pageSize', 'pagination'];
+const DEFAULTS = { sort: '-lastModified', pageSize: DEFAULT_PAGE_SIZE, pagination: 'pages' };
+
+/**
+ * Maps a path of the authoring environment to the path of the published page.
+ * @param {string} path The path
+ * @returns {string} The published path
+ */
+function toPublishedPath(path) {
+  return path
+    .replace(/^https?:\/\/[^/]+/, '')
+    .replace(/^\/content\/[^/]+(\/|$)/, '/')
+    .replace(/\.html$/, '')
+    .replace(/\/$/, '');
+}
+
+/**
+ * Creates the filter for the index entries from the config.
+ * @param {object} config The listing config
+ * @returns {Function} The filter
+ */
+function createFilter(config) {
+  const prefix = config.path ? toPublishedPath(config.path) : '';
+  const tags = [].concat(config.tags || [])
+    .flatMap((tag) => tag.split(','))
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+  const template = toClassName(config.template || '');
+  return (entry) => (!prefix || entry.path.startsWith(`${prefix}/`))
+    && (!tags.length || entry.tags?.some((tag) => tags.includes(tag.toLowerCase())))
+    && (!template || toClassName(entry.template) === template);
+}
+
+/**
+ * Renders a single page of the listing.
+ * @param {object} entry The index entry
+ * @param {string} style The display style
+ * @returns {Element} The list item
+ */
+function renderEntry(entry, style) {
+  const li = document.createElement('li');
+  if (style === 'grid' && entry.image) {
+    const image = document.createElement('div');
+    image.className = 'listing-item-image';
+    image.append(createOptimizedPicture(entry.image, '', false, [{ width: '750' }]));
+    li.append(image);
+  }
+  const body = document.createElement('div');
+  body.className = 'listing-item-body';
+  const title = document.createElement('p');
+  title.className = 'listing-item-title';
+  const link = document.createElement('a');
+  link.href = entry.path;
+  link.textContent = entry.title || entry.path;
+  title.append(link);
+  body.append(title);
+  if (style !== 'compact' && entry.description) {
+    const description = document.createElement('p');
+    description.className = 'listing-item-description';
+    description.textContent = entry.description;
+    body.append(description);
+  }
+  if (entry.lastModified) {
+    const date = document.createElement('time');
+    date.className = 'listing-item-date';
+    const lastModified = new Date(entry.lastModified * 1000);
+    date.dateTime = lastModified.toISOString();
+    date.textContent = lastModified.toLocaleDateString(document.documentElement.lang || undefined);
+    body.append(date);
+  }
+  li.append(body);
+  return li;
+}
+
+export default async function decorate(block) {
+  const { variants, options: config } = await getBlockConfig(block, {
+    fields: FIELDS,
+    defaults: DEFAULTS,
+  });
+  const placeholders = await fetchPlaceholders();
+  const style = DISPLAY_STYLES.find((s) => variants.includes(s)) || 'grid';
+  block.classList.add(style);
+  const pageSize = Number.parseInt(config.pageSize, 10) || DEFAULT_PAGE_SIZE;
+  const loadMore = toClassName(config.pagination) === 'load-more';
+
+  const entries = await queryIndex({
+    filter: createFilter(config),
+    sort: config.sort || '-lastModified',
+  });
+
+  const list = document.createElement('ul');
+  list.className = 'listing-items';
+  const controls = document.createElement('div');
+  controls.className = 'listing-controls';
+  // the block element keeps its instrumentation, so the editor can still select it
+  block.replaceChildren(list, controls);
+
+  if (!entries.length) {
+    const empty = document.createElement('p');
+    empty.className = 'listing-empty';
+    empty.textContent = placeholders.noPagesFound || 'No pages found.';
+    block.replaceChildren(empty);
+    return;
+  }
+
+  const pages = Math.ceil(entries.length / pageSize);
+  let current = 0;
+
+  const renderPage = (page) => {
+    current = page;
+    const items = entries
+      .slice(page * pageSize, (page + 1) * pageSize)
+      .map((entry) => renderEntry(entry, style));
+    if (loadMore) list.append(...items);
+    else list.replaceChildren(...items);
+    controls.querySelectorAll('[aria-current]').forEach((b) => b.removeAttribute('aria-current'));
+    controls.querySelector(`[data-page="${page}"]`)?.setAttribute('aria-current', 'page');
+    const more = controls.querySelector('.listing-load-more');
+    if (more) more.hidden = current >= pages - 1;
+  };
+
+  if (pages > 1 && loadMore) {
+    const more = document.createElement('button');
+    more.type = 'button';
+    more.className = 'listing-load-more secondary';
+    more.textContent = placeholders.loadMore || 'Load more';
+    more.addEventListener('click', () => renderPage(current + 1));
+    controls.append(more);
+  } else if (pages > 1) {
+    const pagination = document.createElement('nav');
+    pagination.className = 'listing-pagination';
+    pagination.setAttribute('aria-label', placeholders.pagination || 'Pagination');
+    for (let i = 0; i < pages; i += 1) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.page = i;
+      button.textContent = i + 1;
+      button.setAttribute('aria-label', formatPlaceholder(placeholders, 'pageNumber', 'Page {page}', {
+        page: i + 1,
+      }));
+      button.addEventListener('click', () => {
+        renderPage(i);
+        block.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      });
+      pagination.append(button);
+    }
+    controls.append(pagination);
+  }
+
+  renderPage(0);
+}
@@ -0,0 +1,174 @@
+import { decorateIcons } from '../../scripts/aem.js';
+import { queryIndex } from '../../scripts/query-index.js';
+import {
+  fetchPlaceholders,
+  formatPlaceholder,
+  getLocale,
+  getPathLocale,
+  localizePath,
+} from '../../scripts/i18n.js';
+
+// path of the page with the search block, used for the full list of results
+export const SEARCH_PAGE = '/search';
+
+/**
+ * Splits a search query into lower case terms.
+ * @param {string} query The search query
+ * @returns {string[]} The search terms
+ */
+export function getTerms(query) {
+  return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Returns the index entries that match all search terms, best matches first. Matches in the
+ * title weigh more than matches in the keywords, which weigh more than in the description.
+ * @param {object[]} entries The index entries
+ * @param {string[]} terms The search terms
+ * @returns {object[]} The matching entries
+ */
+export function rankEntries(entries, terms) {
+  if (!terms.length) return [];
+  return entries
+    .map((entry) => {
+      const title = (entry.title || '').toLowerCase();
+      const keywords = (entry.keywords || []).join(',').toLowerCase();
+      const description = (entry.description || '').toLowerCase();
+      let score = 0;
+      const matchesAll = terms.every((term) => {
+        let termScore = 0;
+        if (title.includes(term)) termScore += title.startsWith(term) ? 4 : 3;
+        if (keywords.includes(term)) termScore += 2;
+        if (description.includes(term)) termScore += 1;
+        score += termScore;
+        return termScore > 0;
+      });
+      return { entry, score: matchesAll ? score : 0 };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Wraps all occurrences of the search terms in a text with mark elements.
+ * @param {string} text The text
+ * @param {string[]} terms The search terms
+ * @returns {DocumentFragment} The highlighted text
+ */
+export function highlight(text, terms) {
+  const fragment = document.createDocumentFragment();
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const parts = escaped.length ? (text || '').split(new RegExp(`(${escaped.join('|')})`, 'gi')) : [text || ''];
+  parts.forEach((part, i) => {
+    // the captured matches are at the odd indexes
+    if (i % 2) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      fragment.append(mark);
+    } else if (part) {
+      fragment.append(part);
+    }
+  });
+  return fragment;
+}
+
+/**
+ * Renders the title and description of a search result.
+ * @param {Element} container The element to render into
+ * @param {object} entry The index entry
+ * @param {string[]} terms The search terms
+ */
+export function renderResult(container, entry, terms) {
+  const title = document.createElement('p');
+  title.className = 'search-result-title';
+  title.append(highlight(entry.title || entry.path, terms));
+  container.append(title);
+  if (entry.description) {
+    const description = document.createElement('p');
+    description.className = 'search-result-description';
+    description.append(highlight(entry.description, terms));
+    container.append(description);
+  }
+}
+
+/**
+ * Returns the index entries of the pages in the locale of the page.
+ * @returns {Promise<object[]>} The entries
+ */
+export function queryLocaleIndex() {
+  const { locale } = getLocale();
+  return queryIndex({ filter: (entry) => getPathLocale(entry.path) === locale });
+}
+
+/**
+ * Creates the search form, submitting to the search page of the locale.
+ * @param {string} query The initial query
+ * @param {object} [placeholders] The placeholders of the locale
+ * @returns {Element} The form
+ */
+export function createSearchForm(query = '', placeholders = {}) {
+  const form = document.createElement('form');
+  form.className = 'search-form';
+  form.action = localizePath(SEARCH_PAGE);
+  form.setAttribute('role', 'search');
+  form.innerHTML = `<span class="icon icon-search"></span>
+    <input type="search" name="q" autocomplete="off">`;
+  const input = form.querySelector('input');
+  input.setAttribute('aria-label', placeholders.search || 'Search');
+  input.placeholder = placeholders.search || 'Search';
+  input.value = query;
+  decorateIcons(form);
+  return form;
+}
+
+export default async function decorate(block) {
+  const query = new URLSearchParams(window.location.search).get('q') || '';
+  const placeholders = await fetchPlaceholders();
+  const form = createSearchForm(query, placeholders);
+  form.action = window.location.pathname;
+  const status = document.createElement('p');
+  status.className = 'search-status';
+  status.setAttribute('aria-live', 'polite');
+  const results = document.createElement('ul');
+  results.className = 'search-results';
+  block.replaceChildren(form, status, results);
+
+  const search = async (value) => {
+    const terms = getTerms(value);
+    const entries = rankEntries(await queryLocaleIndex(), terms);
+    results.replaceChildren(...entries.map((entry) => {
+      const li = document.createElement('li');
+      const a = document.createElement('a');
+      a.href = entry.path;
+      renderResult(a, entry, terms);
+      li.append(a);
+      return li;
+    }));
+    status.textContent = terms.length
+      ? formatPlaceholder(placeholders, 'searchResultsFor', '{count} results for "{query}"', {
+        count: entries.length,
+        query: value,
+      })
+      : '';
+  };
+
+  let timeout;
+  const input = form.querySelector('input');
+  input.addEventListener('input', () => {
+    window.clearTimeout(timeout);
+    timeout = window.setTimeout(() => {
+      const url = new URL(window.location.href);
+      if (input.value) url.searchParams.set('q', input.value);
+      else url.searchParams.delete('q');
+      window.history.replaceState(null, '', url);
+      search(input.value);
+    }, 200);
+  });
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    search(input.value);
+  });
+
+  if (query) await search(query);
+}
@@ -11,9 +11,13 @@
  */
 
 /* eslint-env browser */
+import { hasConsent, onConsentChange } from './consent.js';
+
 function sampleRUM(checkpoint, data) {
   // eslint-disable-next-line max-len
   const timeShift = () => (window.performance ? window.performance.now() : Date.now() - window.hlx.rum.firstReadTime);
+  // nothing is collected without the consent of the visitor
+  if (!hasConsent('analytics')) return;
   try {
     window.hlx = window.hlx || {};
     if (!window.hlx.rum || !window.hlx.rum.collector) {
@@ -181,6 +185,13 @@ function init() {
   setup();
   sampleRUM.collectBaseURL = window.origin;
   sampleRUM();
+  // start collecting once the visitor consents
+  onConsentChange((consent) => {
+    if (consent.analytics && !window.hlx.rum) {
+      sampleRUM();
+      sampleRUM.enhance();
+    }
+  });
 }
 
 /**
@@ -257,7 +268,8 @@ function readBlockConfig(block) {
  */
 async function loadCSS(href) {
   return new Promise((resolve, reject) => {
-    if (!document.querySelector(`head > link[href="${href}"]`)) {
+    // preload hints for the same href don't apply the styles
+    if (!document.querySelector(`head > link[rel="stylesheet"][href="${href}"]`)) {
       const link = document.createElement('link');
       link.rel = 'stylesheet';
       link.href = href;
@@ -310,11 +322,33 @@ function getMetadata(name, doc = document) {
 }
 
 /**
- * Returns a picture element with webp and fallbacks
+ * Returns the intrinsic dimensions of an image from the width and height parameters of its url,
+ * in the hash or the query.
+ * @param {URL} url The image URL
+ * @returns {{width: number, height: number}} The dimensions, if known
+ */
+function getImageDimensions(url) {
+  const hash = new URLSearchParams(url.hash.substring(1));
+  const width = Number(hash.get('width') || url.searchParams.get('width'));
+  const height = Number(hash.get('height') || url.searchParams.get('height'));
+  return width && height ? { width, height } : null;
+}
+
+/**
+ * Returns a picture element with avif, webp and fallbacks
  * @param {string} src The image URL
  * @param {string} [alt] The image alternative text
  * @param {boolean} [eager] Set loading attribute to eager
- * @param {Array} [breakpoints] Breakpoints and corresponding params (eg. width)
+ * @param {Array} [breakpoints] Breakpoints and corresponding params: width, or widths for a
+ * srcset with width descriptors, media, sizes, and src for a different crop of the image
+ * @param {Object} [options] Picture options
+ * @param {number} [options.width] The intrinsic width of the image, if not in its url
+ * @param {number} [options.height] The intrinsic height of the image, if not in its url
+ * @param {string} [options.sizes] The sizes of the image, for breakpoints with several widths
+ * @param {{x: number, y: number}} [options.focalPoint] The point to keep in view when the image
+ * is cropped by object-fit, in percent
+ * @param {string[]} [options.formats] The modern formats to offer, before the original format,
+ * webp by default. Only add avif where the image service is known to deliver it.
  * @returns {Element} The picture element
  */
 function createOptimizedPicture(
@@ -322,34 +356,71 @@ function createOptimizedPicture(
   alt = '',
   eager = false,
   breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  {
+    width,
+    height,
+    sizes,
+    focalPoint,
+    formats = ['webply'],
+  } = {},
 ) {
-  const url = new URL(src, window.location.href);
   const picture = document.createElement('picture');
-  const { pathname } = url;
-  const ext = pathname.substring(pathname.lastIndexOf('.') + 1);
-
-  // webp
-  breakpoints.forEach((br) => {
-    const source = document.createElement('source');
-    if (br.media) source.setAttribute('media', br.media);
-    source.setAttribute('type', 'image/webp');
-    source.setAttribute('srcset', `${pathname}?width=${br.width}&format=webply&optimize=medium`);
-    picture.appendChild(source);
+  const types = { avif: 'image/avif', webply: 'image/webp' };
+  const images = breakpoints.map((br) => {
+    const url = new URL(br.src || src, window.location.href);
+    const { pathname } = url;
+    const widths = br.widths || [br.width];
+    const optimizedSrc = (format, w) => `${pathname}?width=${w}&format=${format}&optimize=medium`;
+    const srcset = (format) => (widths.length > 1
+      ? widths.map((w) => `${optimizedSrc(format, w)} ${w}w`).join(', ')
+      : optimizedSrc(format, widths[0]));
+    const dimensions = (!br.src && width && height && { width, height }) || getImageDimensions(url);
+    return {
+      ...br,
+      ext: pathname.substring(pathname.lastIndexOf('.') + 1),
+      widths,
+      optimizedSrc,
+      srcset,
+      dimensions,
+      sizes: br.sizes || (widths.length > 1 ? sizes : null),
+    };
+  });
+  const setAttributes = (element, image) => {
+    if (image.media) element.setAttribute('media', image.media);
+    if (image.sizes) element.setAttribute('sizes', image.sizes);
+    if (image.dimensions) {
+      element.setAttribute('width', image.dimensions.width);
+      element.setAttribute('height', image.dimensions.height);
+    }
+  };
+
+  // modern formats
+  formats.forEach((format) => {
+    images.forEach((image) => {
+      const source = document.createElement('source');
+      setAttributes(source, image);
+      source.setAttribute('type', types[format] || `image/${format}`);
+      source.setAttribute('srcset', image.srcset(format));
+      picture.appendChild(source);
+    });
   });
 
   // fallback
-  breakpoints.forEach((br, i) => {
-    if (i < breakpoints.length - 1) {
+  images.forEach((image, i) => {
+    if (i < images.length - 1) {
       const source = document.createElement('source');
-      if (br.media) source.setAttribute('media', br.media);
-      source.setAttribute('srcset', `${pathname}?width=${br.width}&format=${ext}&optimize=medium`);
+      setAttributes(source, image);
+      source.setAttribute('srcset', image.srcset(image.ext));
       picture.appendChild(source);
     } else {
       const img = document.createElement('img');
       img.setAttribute('loading', eager ? 'eager' : 'lazy');
       img.setAttribute('alt', alt);
+      setAttributes(img, { ...image, media: null });
+      if (focalPoint) img.style.objectPosition = `${focalPoint.x}% ${focalPoint.y}%`;
       picture.appendChild(img);
-      img.setAttribute('src', `${pathname}?width=${br.width}&format=${ext}&optimize=medium`);
+      if (image.widths.length > 1) img.setAttribute('srcset', image.srcset(image.ext));
+      img.setAttribute('src', image.optimizedSrc(image.ext, image.widths[0]));
     }
   });
 
@@ -567,39 +638,119 @@ function buildBlock(blockName, content) {
   return blockEl;
 }
 
+// loading blocks, and the blocks each of them waits for before it is decorated
+const blockLoads = new WeakMap();
+const blockDependencies = new WeakMap();
+
+/**
+ * Checks whether a block waits for another one, directly or through its dependencies.
+ * @param {Element} block The block
+ * @param {Element} other The other block
+ * @returns {boolean} true if the block waits for the other one
+ */
+function waitsFor(block, other) {
+  return [...(blockDependencies.get(block) || [])]
+    .some((dependency) => dependency === other || waitsFor(dependency, other));
+}
+
+/**
+ * Waits for the blocks a block module declares as dependencies with an exported array of
+ * block names, e.g. export const dependencies = ['tabs'], to be loaded. Only blocks of the same
+ * section are waited for, and dependencies that would be circular are ignored.
+ * @param {Element} block The block element
+ * @param {string[]} [names] The names of the blocks to wait for
+ */
+async function waitForDependencies(block, names = []) {
+  const scope = block.closest('.section') || block.parentElement;
+  const dependencies = names
+    .flatMap((name) => [...(scope?.querySelectorAll(`div.block[data-block-name="${name}"]`) || [])])
+    .filter((dependency) => dependency !== block && blockLoads.has(dependency))
+    .filter((dependency) => !waitsFor(dependency, block));
+  blockDependencies.set(block, new Set(dependencies));
+  await Promise.all(dependencies.map((dependency) => blockLoads.get(dependency)));
+}
+
+// time after which a block that is still decorating no longer holds up its section
+const BLOCK_DECORATION_TIMEOUT = 10000;
+
 /**
- * Loads JS and CSS for a block.
+ * Handles a block that failed to load or decorate: marks it with the error status, replaces the
+ * partially decorated markup with the fallback of the block module, if it exports one, or else
+ * with the undecorated content, and reports the error.
+ * @param {Element} block The block element
+ * @param {Node[]} content The undecorated content of the block
+ * @param {Error} error The error
+ * @param {object} [mod] The block module, if it could be loaded
+ */
+async function handleBlockError(block, content, error, mod) {
+  const { blockName } = block.dataset;
+  // without module the import failed, else the decoration
+  const message = mod ? `failed to decorate ${blockName}` : `failed to load module for ${blockName}`;
+  // eslint-disable-next-line no-console
+  console.error(message, error);
+  block.dataset.blockStatus = 'error';
+  sampleRUM('error', {
+    source: `${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`,
+    target: `${blockName}: ${error}`,
+  });
+  try {
+    block.replaceChildren(...content);
+    if (mod?.fallback) await mod.fallback(block, error);
+  } catch (fallbackError) {
+    // eslint-disable-next-line no-console
+    console.error(`failed to render fallback for ${blockName}`, fallbackError);
+  }
+}
+
+/**
+ * Loads JS and CSS for a block. Blocks failing to decorate get the error status, blocks taking
+ * longer than the decoration timeout are reported and stop holding up the section.
  * @param {Element} block The block element
  */
 async function loadBlock(block) {
   const status = block.dataset.blockStatus;
-  if (status !== 'loading' && status !== 'loaded') {
+  if (status !== 'loading' && status !== 'loaded' && status !== 'error') {
     block.dataset.blockStatus = 'loading';
     const { blockName } = block.dataset;
-    try {
-      const cssLoaded = loadCSS(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.css`);
-      const decorationComplete = new Promise((resolve) => {
-        (async () => {
+    const content = [...block.childNodes].map((node) => node.cloneNode(true));
+    const loaded = (async () => {
+      let timeout;
+      try {
+        const cssLoaded = loadCSS(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.css`);
+        const decorationComplete = (async () => {
+          let mod;
           try {
-            const mod = await import(
+            mod = await import(
               `${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`
             );
+            await waitForDependencies(block, mod.dependencies);
             if (mod.default) {
               await mod.default(block);
             }
+            block.dataset.blockStatus = 'loaded';
           } catch (error) {
-            // eslint-disable-next-line no-console
-            console.error(`failed to load module for ${blockName}`, error);
+            await handleBlockError(block, content, error, mod);
           }
-          resolve();
         })();
-      });
-      await Promise.all([cssLoaded, decorationComplete]);
-    } catch (error) {
-      // eslint-disable-next-line no-console
-      console.error(`failed to load block ${blockName}`, error);
-    }
-    block.dataset.blockStatus = 'loaded';
+        const timedOut = new Promise((resolve) => {
+          timeout = setTimeout(() => {
+            sampleRUM('error', {
+              source: `${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`,
+              target: `${blockName}: decoration timeout`,
+            });
+            resolve();
+          }, BLOCK_DECORATION_TIMEOUT);
+        });
+        await Promise.all([cssLoaded, Promise.race([decorationComplete, timedOut])]);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`failed to load block ${blockName}`, error);
+      } finally {
+        clearTimeout(timeout);
+      }
+    })();
+    blockLoads.set(block, loaded);
+    await loaded;
   }
   return block;
 }
@@ -682,31 +833,88 @@ async function loadSection(section, loadCallback) {
   const status = section.dataset.sectionStatus;
   if (!status || status === 'initialized') {
     section.dataset.sectionStatus = 'loading';
+    // blocks load in parallel, those declaring dependencies wait for them to be decorated
     const blocks = [...section.querySelectorAll('div.block')];
-    for (let i = 0; i < blocks.length; i += 1) {
-      // eslint-disable-next-line no-await-in-loop
-      await loadBlock(blocks[i]);
-    }
+    await Promise.all(blocks.map((block) => loadBlock(block)));
     if (loadCallback) await loadCallback(section);
     section.dataset.sectionStatus = 'loaded';
     section.style.display = null;
   }
 }
 
+/**
+ * Checks whether all sections have to be loaded right away: when printing, when navigating to an
+ * anchor of the page, and in the universal editor.
+ * @returns {boolean} true if sections must be loaded eagerly
+ */
+function loadSectionsEagerly() {
+  return window.matchMedia('print').matches
+    || !!window.location.hash
+    || !!document.querySelector('[data-aue-resource]');
+}
+
 /**
  * Loads all sections.
  * @param {Element} element The parent element of sections to load
+ * @param {Object} [options] Loading options
+ * @param {boolean} [options.lazy] Load the sections after the first one once they approach the
+ * viewport. Sections with a loading: eager section metadata are always loaded right away.
+ * @param {string} [options.rootMargin] The distance to the viewport sections are loaded at
  */
 
-async function loadSections(element) {
+async function loadSections(element, { lazy = false, rootMargin = '400px 0px' } = {}) {
   const sections = [...element.querySelectorAll('div.section')];
+  const eager = !lazy || !('IntersectionObserver' in window) || loadSectionsEagerly();
+  const pending = [];
   for (let i = 0; i < sections.length; i += 1) {
-    // eslint-disable-next-line no-await-in-loop
-    await loadSection(sections[i]);
+    if (eager || i === 0 || sections[i].dataset.loading === 'eager') {
+      // eslint-disable-next-line no-await-in-loop
+      await loadSection(sections[i]);
+    } else {
+      pending.push(sections[i]);
+    }
     if (i === 0 && sampleRUM.enhance) {
       sampleRUM.enhance();
     }
   }
+  if (!pending.length) return;
+
+  // hidden sections can't be observed, a sentinel in front of the next one is instead
+  const sentinel = document.createElement('span');
+  sentinel.setAttribute('aria-hidden', 'true');
+  sentinel.style.display = 'block';
+  let observer;
+  const observeNext = () => {
+    const next = pending.find((section) => section.dataset.sectionStatus !== 'loaded');
+    if (!next) {
+      sentinel.remove();
+      return;
+    }
+    next.before(sentinel);
+    observer = new IntersectionObserver(async (entries) => {
+      if (!entries.some((entry) => entry.isIntersecting)) return;
+      observer.disconnect();
+      await loadSection(next);
+      observeNext();
+    }, { rootMargin });
+    observer.observe(sentinel);
+  };
+  const loadRemaining = async () => {
+    observer?.disconnect();
+    sentinel.remove();
+    for (let i = 0; i < pending.length; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await loadSection(pending[i]);
+    }
+  };
+  window.addEventListener('beforeprint', () => {
+    // the print is laid out right after the event, without waiting for the sections to load, so
+    // the blocks of the sections not loaded yet are printed undecorated
+    pending.forEach((section) => { section.style.display = null; });
+    loadRemaining();
+  }, { once: true });
+  window.addEventListener('hashchange', loadRemaining, { once: true });
+  observeNext();
 }
 
 init();
@@ -0,0 +1,167 @@
+import { getMetadata, toClassName } from './aem.js';
+import { getLocale } from './i18n.js';
+// eslint-disable-next-line import/no-cycle
+import { takeRumEvents } from './scripts.js';
+
+// the events RUM checkpoints are pushed as, other checkpoints are not pushed. Clicks and views
+// are collected below instead, RUM only reports them for the sampled page views
+const RUM_EVENTS = {
+  error: 'error',
+};
+
+const MEDIA = 'img, video';
+
+// events pushed before the adapter loaded, sent to it once it did
+const queue = [];
+
+let adapter;
+
+// whether the adapter loaded, or failed to, or there is none
+let ready = false;
+
+window.dataLayer = window.dataLayer || [];
+
+/**
+ * Pushes an event to the data layer and sends it to the adapter of the tag manager, or queues
+ * it until the adapter loaded.
+ * @param {object} event The event, with its name in the event property
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function pushEvent(event) {
+  window.dataLayer.push(event);
+  if (ready) adapter?.send?.(event);
+  else queue.push(event);
+}
+
+/**
+ * Loads the adapter of the tag manager set with the analytics-adapter metadata, from
+ * scripts/analytics/<name>.js. Adapters export an init function, called with the
+ * analytics-id metadata, and a send function for each event unless the tag manager reads
+ * window.dataLayer itself.
+ */
+async function loadAdapter() {
+  const name = toClassName(getMetadata('analytics-adapter'));
+  if (name) {
+    try {
+      const mod = await import(`${window.hlx.codeBasePath}/scripts/analytics/${name}.js`);
+      await mod.init?.({ id: getMetadata('analytics-id') });
+      adapter = mod;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`failed to load the analytics adapter ${name}`, error);
+    }
+  }
+  ready = true;
+  queue.splice(0).forEach((event) => adapter?.send?.(event));
+}
+
+/**
+ * Returns where on the page an element is, the name of its block, or else header, main or footer.
+ * @param {Element} el The element
+ * @returns {string} The source
+ */
+function getSource(el) {
+  return el.closest('[data-block-name]')?.dataset.blockName
+    || el.closest('header, main, footer')?.tagName.toLowerCase();
+}
+
+/**
+ * Pushes a block_view event for each block and a media_view event for each image and video the
+ * first time they are half in the viewport, including the ones added to the page later.
+ */
+function observeViews() {
+  const observer = new IntersectionObserver((entries) => {
+    entries.filter(({ isIntersecting }) => isIntersecting).forEach(({ target }) => {
+      observer.unobserve(target);
+      if (target.matches(MEDIA)) {
+        pushEvent({
+          event: 'media_view',
+          source: getSource(target),
+          target: target.currentSrc || target.src,
+        });
+      } else {
+        pushEvent({ event: 'block_view', source: getSource(target) });
+      }
+    });
+  }, { threshold: 0.5 });
+  const selector = `[data-block-name], ${MEDIA}`;
+  const observe = (root) => {
+    if (root.matches(selector)) observer.observe(root);
+    root.querySelectorAll(selector).forEach((el) => observer.observe(el));
+  };
+  observe(document.body);
+  new MutationObserver((records) => records.forEach(({ addedNodes }) => {
+    addedNodes.forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) observe(node);
+    });
+  })).observe(document.body, { childList: true, subtree: true });
+}
+
+/**
+ * Pushes a click event for each click on a link or a button.
+ */
+function observeClicks() {
+  document.addEventListener('click', ({ target }) => {
+    const el = target.closest?.('a[href], button');
+    if (!el) return;
+    pushEvent({
+      event: 'click',
+      source: getSource(el),
+      target: el.href || el.getAttribute('aria-label') || el.textContent.trim(),
+    });
+  }, { capture: true });
+}
+
+/**
+ * Pushes a page_leave event the first time the page is hidden or unloaded.
+ */
+function observeLeave() {
+  let left = false;
+  const leave = () => {
+    if (left) return;
+    left = true;
+    pushEvent({ event: 'page_leave' });
+  };
+  window.addEventListener('pagehide', leave);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') leave();
+  });
+}
+
+/**
+ * Pushes a RUM checkpoint, if it is pushed as an event.
+ * @param {{checkpoint: string, data: object}} rumEvent The checkpoint and its data
+ */
+function pushRumEvent({ checkpoint, data = {} }) {
+  if (!RUM_EVENTS[checkpoint]) return;
+  pushEvent({ event: RUM_EVENTS[checkpoint], source: data.source, target: data.target });
+}
+
+/**
+ * Pushes the page view, with the page metadata, and the page enter, followed by the RUM
+ * checkpoints since the start of the page and the clicks, views and page leave from now on.
+ */
+function init() {
+  const { locale, lang } = getLocale();
+  pushEvent({
+    event: 'page_view',
+    page: {
+      path: window.location.pathname,
+      title: document.title,
+      template: getMetadata('template'),
+      theme: getMetadata('theme'),
+      locale,
+      lang,
+      experiments: window.hlx.experiments || [],
+    },
+  });
+  pushEvent({ event: 'page_enter', source: document.referrer });
+  takeRumEvents().forEach(pushRumEvent);
+  document.addEventListener('rum', ({ detail }) => pushRumEvent(detail));
+  observeViews();
+  observeClicks();
+  observeLeave();
+  loadAdapter();
+}
+
+init();
@@ -0,0 +1,20 @@
+import { loadScript } from '../aem.js';
+
+window.adobeDataLayer = window.adobeDataLayer || [];
+
+/**
+ * Loads Adobe Experience Platform Tags.
+ * @param {object} config The config
+ * @param {string} config.id The url of the embed code of the property
+ */
+export async function init({ id }) {
+  await loadScript(id, { async: '' });
+}
+
+/**
+ * Pushes an event to the Adobe Client Data Layer.
+ * @param {object} event The event
+ */
+export function send({ event, ...eventInfo }) {
+  window.adobeDataLayer.push({ event, eventInfo });
+}
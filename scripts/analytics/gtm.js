@@ -0,0 +1,12 @@
+import { loadScript } from '../aem.js';
+
+/**
+ * Loads Google Tag Manager, which reads the events from window.dataLayer itself.
+ * @param {object} config The config
+ * @param {string} config.id The id of the container, e.g. GTM-XXXXXXX
+ */
+// eslint-disable-next-line import/prefer-default-export
+export async function init({ id }) {
+  window.dataLayer.push({ 'gtm.start': Date.now(), event: 'gtm.js' });
+  await loadScript(`https://www.googletagmanager.com/gtm.js?id=${encodeURIComponent(id)}`, { async: '' });
+}
@@ -0,0 +1,224 @@
+import { toCamelCase, toClassName } from './aem.js';
+
+// fields the editor collapses into the element of another field, e.g. imageAlt into the img
+const COLLAPSED_SUFFIXES = ['Alt', 'Text', 'Title', 'Type', 'MimeType'];
+
+const LIST_COMPONENTS = ['multiselect', 'aem-tag', 'checkbox-group'];
+
+let componentModels;
+
+/**
+ * Returns the component models of the editor, as built from the _<block>.json files. They are
+ * only meant to be fetched in the Universal Editor.
+ * @returns {Promise<object[]>} The component models
+ */
+export function getComponentModels() {
+  if (!componentModels) {
+    componentModels = fetch(`${window.hlx.codeBasePath}/component-models.json`)
+      .then((resp) => (resp.ok ? resp.json() : []))
+      .then((models) => (Array.isArray(models) ? models : []))
+      .catch(() => []);
+  }
+  return componentModels;
+}
+
+/**
+ * Parses a block name as authored, with optional variants in parentheses,
+ * e.g. Cards (Wide, Dark).
+ * @param {string} blockName The block name
+ * @returns {{name: string, variants: string[]}} The name and variants, as class names
+ */
+export function parseBlockName(blockName) {
+  const [, name, variants = ''] = blockName.match(/^([^(]*)(?:\((.*)\))?/);
+  return {
+    name: toClassName(name),
+    variants: variants.split(',').map((variant) => toClassName(variant)).filter(Boolean),
+  };
+}
+
+/**
+ * Returns the fields of a model that are rendered as rows, in order. Fields sharing a prefix
+ * before an underscore are grouped into a single row.
+ * @param {object} model The component model
+ * @returns {object[][]} The fields of each row
+ */
+function getRowFields(model) {
+  const names = model.fields.map(({ name }) => name);
+  return model.fields
+    .filter(({ name }) => name !== 'classes' && !name.startsWith('classes_'))
+    .filter(({ name }) => !COLLAPSED_SUFFIXES.some((suffix) => name.endsWith(suffix)
+      && names.includes(name.slice(0, -suffix.length))))
+    .reduce((rows, field) => {
+      const last = rows[rows.length - 1];
+      const [group] = field.name.split('_');
+      if (field.name.includes('_') && last?.[0].name.startsWith(`${group}_`)) last.push(field);
+      else rows.push([field]);
+      return rows;
+    }, []);
+}
+
+/**
+ * Coerces a single value to the type of a field, or guesses the type of untyped fields.
+ * @param {string} value The value
+ * @param {object} [field] The model field
+ * @returns {*} The value
+ */
+function coerce(value, field) {
+  if (typeof value !== 'string') return value;
+  const type = field?.valueType || field?.component;
+  if (type === 'boolean') return value === 'true';
+  if (type === 'number') return value === '' ? undefined : Number(value);
+  if (type) return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Reads the value of a cell: the urls of links and images, the texts of paragraphs and list
+ * items, or the text, coerced to the type of the field.
+ * @param {Element} cell The cell
+ * @param {object} [field] The model field
+ * @returns {*} The value
+ */
+function readValue(cell, field) {
+  const images = [...cell.querySelectorAll('img')].map((img) => img.src);
+  const links = [...cell.querySelectorAll('a')].map((a) => a.href);
+  const texts = [...cell.querySelectorAll('p, li')].map((el) => el.textContent.trim());
+  const text = cell.textContent.trim();
+  let values = [text];
+  if (images.length) values = images;
+  else if (links.length) values = links;
+  else if (texts.length > 1) values = texts;
+
+  const isList = field?.multi || LIST_COMPONENTS.includes(field?.component);
+  if (isList) {
+    return values
+      .flatMap((value) => value.split(','))
+      .map((value) => coerce(value.trim(), field))
+      .filter((value) => value !== '');
+  }
+  if (values.length > 1) return values.map((value) => coerce(value, field));
+  return coerce(values[0], field);
+}
+
+/**
+ * Returns the field of the model an authored key refers to.
+ * @param {object[]} fields The model fields
+ * @param {string} key The key, in camel case
+ * @returns {object} The field, if any
+ */
+function findField(fields, key) {
+  return fields.find(({ name }) => name.toLowerCase() === key.toLowerCase());
+}
+
+/**
+ * Validates the options against the fields of the model.
+ * @param {object} options The options
+ * @param {object[]} fields The model fields
+ * @returns {string[]} The problems found
+ */
+function validate(options, fields) {
+  const errors = [];
+  Object.entries(options).forEach(([key, value]) => {
+    const field = findField(fields, key);
+    if (!field) {
+      // grouped fields are read as a single option, named by their prefix
+      if (!fields.some(({ name }) => name.startsWith(`${key}_`))) errors.push(`unknown option ${key}`);
+      return;
+    }
+    const values = [].concat(value);
+    if (field.component === 'number' && values.some((v) => Number.isNaN(v))) {
+      errors.push(`${key} must be a number`);
+    }
+    const allowed = field.options?.map((option) => option.value);
+    if (allowed && values.some((v) => v !== '' && !allowed.includes(v))) {
+      errors.push(`${key} must be one of ${allowed.join(', ')}`);
+    }
+  });
+  fields.filter(({ required }) => required).forEach(({ name }) => {
+    const value = options[name];
+    if (value === undefined || value === '' || value?.length === 0) {
+      errors.push(`${name} is required`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Returns the structured config of a block: its name, its variants and its options. Options are
+ * read from key/value rows and from the rows the editor renders for the fields of the model of
+ * the block, keyed by field name. Fields without row get their default value.
+ *
+ * Published pages don't load the model: the block names the fields of its rows and their
+ * defaults, and values are typed by guessing. In the Universal Editor the model of the block is
+ * used instead, to type the values after its fields, and mismatches with it are reported.
+ * @param {Element} block The block element
+ * @param {object} [options] The fields of the block
+ * @param {string[]} [options.fields] The names of the fields rendered as rows, in model order
+ * @param {object} [options.defaults] The default values, by field name
+ * @returns {Promise<{name: string, variants: string[], options: object, errors: string[]}>}
+ * The block config
+ */
+export async function getBlockConfig(block, { fields = [], defaults = {} } = {}) {
+  const classes = [...block.classList].filter((c) => c !== 'block');
+  const { name, variants } = parseBlockName(block.dataset.blockName || classes[0] || '');
+  variants.push(...classes.filter((c) => c !== name && !variants.includes(c)));
+
+  let model;
+  if (block.dataset.aueResource) {
+    const models = await getComponentModels();
+    const modelId = block.dataset.aueModel || name;
+    model = models.find(({ id }) => id === modelId);
+  }
+  const rowFields = model
+    ? getRowFields(model)
+    : getRowFields({ fields: fields.map((field) => ({ name: field })) });
+
+  const options = {};
+  const errors = [];
+  let fieldRow = 0;
+  [...block.children].forEach((row, i) => {
+    const cells = [...row.children];
+    if (cells.length > 1) {
+      const key = toCamelCase(toClassName(cells[0].textContent));
+      const field = model && findField(model.fields, key);
+      options[field?.name || key] = readValue(cells[1], field);
+    } else if (rowFields[fieldRow]) {
+      const [field, ...grouped] = rowFields[fieldRow];
+      const key = grouped.length ? field.name.split('_')[0] : field.name;
+      options[key] = readValue(row, field);
+      fieldRow += 1;
+    } else if (model) {
+      errors.push(`unexpected row ${i + 1}`);
+    }
+  });
+
+  Object.entries(defaults).forEach(([key, value]) => {
+    if (options[key] === undefined || options[key] === '') options[key] = value;
+  });
+
+  if (model) {
+    model.fields
+      .filter((field) => field.value !== undefined && !field.name.startsWith('classes'))
+      .forEach((field) => {
+        if (options[field.name] === undefined || options[field.name] === '') {
+          options[field.name] = readValue(Object.assign(document.createElement('div'), {
+            textContent: String(field.value),
+          }), field);
+        }
+      });
+    errors.push(...validate(options, model.fields));
+  }
+  if (errors.length) {
+    // eslint-disable-next-line no-console
+    console.warn(`${name} block config does not match its model`, errors, block);
+  }
+
+  return {
+    name,
+    variants,
+    options,
+    errors,
+  };
+}
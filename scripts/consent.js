@@ -0,0 +1,110 @@
+// the consent categories, necessary ones are always granted
+export const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+const STORAGE_KEY = 'consent';
+
+const CHANGE_EVENT = 'consent:change';
+
+// the consent given on this page, for when the storage is disabled
+let pageConsent = null;
+
+/**
+ * Reads the stored consent record.
+ * @returns {{categories: object, partial: boolean}} The categories granted or denied, and
+ * whether they were granted one at a time, without the visitor making a choice, or null
+ */
+function readConsent() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.categories ? stored : pageConsent;
+  } catch (e) {
+    return pageConsent;
+  }
+}
+
+/**
+ * Stores a consent record and notifies the listeners.
+ * @param {object} categories The categories granted, missing ones are denied
+ * @param {boolean} partial Whether the visitor granted a single category without choosing
+ */
+function writeConsent(categories, partial) {
+  const consent = Object.fromEntries(CONSENT_CATEGORIES
+    .map((category) => [category, category === 'necessary' || categories[category] === true]));
+  pageConsent = { categories: consent, partial };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      ...pageConsent,
+      date: new Date().toISOString(),
+    }));
+  } catch (e) {
+    // storage may be disabled, the consent applies to this page only
+  }
+  document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: consent }));
+}
+
+/**
+ * Returns the consent the visitor gave.
+ * @returns {object} Whether each category is granted, by category, or null if the visitor
+ * didn't choose yet
+ */
+export function getConsent() {
+  const stored = readConsent();
+  if (!stored || stored.partial) return null;
+  return Object.fromEntries(CONSENT_CATEGORIES
+    .map((category) => [category, category === 'necessary' || stored.categories[category] === true]));
+}
+
+/**
+ * Checks if the visitor consented to a category, with their choice or by granting it alone.
+ * @param {string} category The category
+ * @returns {boolean} true if the category is granted
+ */
+export function hasConsent(category) {
+  return category === 'necessary' || readConsent()?.categories?.[category] === true;
+}
+
+/**
+ * Stores the consent of the visitor and notifies the listeners.
+ * @param {object} categories Whether each category is granted, by category, missing ones
+ * are denied
+ */
+export function setConsent(categories) {
+  writeConsent(categories, false);
+}
+
+/**
+ * Grants a single category, e.g. to show an embed, and notifies the listeners. Unless the
+ * visitor chose before, the choice stays open and the cookie banner keeps asking for it.
+ * @param {string} category The category
+ */
+export function grantConsent(category) {
+  const stored = readConsent();
+  writeConsent({ ...stored?.categories, [category]: true }, stored?.partial ?? true);
+}
+
+/**
+ * Calls a listener whenever the visitor changes their consent.
+ * @param {Function} listener The listener, called with whether each category is granted
+ * @returns {Function} A function removing the listener
+ */
+export function onConsentChange(listener) {
+  const handler = ({ detail }) => listener(detail);
+  document.addEventListener(CHANGE_EVENT, handler);
+  return () => document.removeEventListener(CHANGE_EVENT, handler);
+}
+
+/**
+ * Resolves once the visitor consented to a category, right away if they did before.
+ * @param {string} category The category
+ * @returns {Promise<void>}
+ */
+export function whenConsented(category) {
+  if (hasConsent(category)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const remove = onConsentChange((consent) => {
+      if (!consent[category]) return;
+      remove();
+      resolve();
+    });
+  });
+}
@@ -1 +1,15 @@
+import { loadScript } from './aem.js';
+import { whenConsented } from './consent.js';
+
+// third party scripts by consent category, they load once the visitor consents to it
+const THIRD_PARTY_SCRIPTS = {
+  analytics: [],
+  marketing: [],
+};
+
+Object.entries(THIRD_PARTY_SCRIPTS).forEach(([category, scripts]) => {
+  if (!scripts.length) return;
+  whenConsented(category).then(() => scripts.forEach((src) => loadScript(src)));
+});
+
 // add delayed functionality here
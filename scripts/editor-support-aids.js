@@ -0,0 +1,61 @@
+/* eslint-disable import/prefer-default-export */
+import { getComponentModels } from './block-config.js';
+
+// authoring aids, only shown in the universal editor: placeholders for empty blocks and fields,
+// outlines for sections and inline warnings. they are rendered from data attributes by
+// editor-support.css, so the decorated content itself stays untouched.
+
+const MEDIA = 'img, picture, video, iframe, svg';
+const AIDS = ['editorPlaceholder', 'editorLabel', 'editorWarning'];
+
+function isEmpty(element) {
+  return !element.textContent.trim() && !element.matches(MEDIA) && !element.querySelector(MEDIA);
+}
+
+function getFieldLabel(element, componentModels) {
+  const { aueLabel, aueProp } = element.dataset;
+  if (aueLabel) return aueLabel;
+  const modelId = element.closest('[data-aue-model]')?.dataset.aueModel;
+  const model = componentModels.find(({ id }) => id === modelId);
+  return model?.fields?.find(({ name }) => name === aueProp)?.label || aueProp;
+}
+
+/**
+ * Renders the authoring aids of the editable content of a container. Aids of previous calls
+ * are replaced, so this can be called again after every change.
+ * @param {Element} [container] The container, the main element by default
+ */
+export async function decorateAuthoringAids(container = document.querySelector('main')) {
+  if (!container) return;
+  const componentModels = await getComponentModels();
+
+  container.querySelectorAll('[data-editor-placeholder], [data-editor-label], [data-editor-warning]')
+    .forEach((element) => AIDS.forEach((aid) => delete element.dataset[aid]));
+
+  // fragments render content that is edited elsewhere
+  const editable = (element) => !element.parentElement?.closest('.fragment');
+
+  container.querySelectorAll('.section[data-aue-resource]').forEach((section) => {
+    section.dataset.editorLabel = section.dataset.name || section.dataset.aueLabel || 'Section';
+  });
+
+  container.querySelectorAll('.block[data-aue-resource]').forEach((block) => {
+    if (!editable(block) || !isEmpty(block)) return;
+    const label = block.dataset.aueLabel || block.dataset.blockName;
+    block.dataset.editorPlaceholder = `${label}: add content in the properties panel`;
+  });
+
+  container.querySelectorAll('[data-aue-prop]').forEach((field) => {
+    if (!editable(field) || field.matches('.block, .section') || !isEmpty(field)) return;
+    field.dataset.editorPlaceholder = getFieldLabel(field, componentModels);
+  });
+
+  container.querySelectorAll('img').forEach((img) => {
+    if (!editable(img) || img.getAttribute('alt')?.trim()) return;
+    (img.closest('picture') || img.parentElement).dataset.editorWarning = 'Missing alt text';
+  });
+
+  container.querySelectorAll('[data-richtext-orphan]').forEach((element) => {
+    element.dataset.editorWarning = 'Orphaned text: not next to the rest of its richtext field';
+  });
+}
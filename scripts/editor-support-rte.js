@@ -1,4 +1,3 @@
-/* eslint-disable no-console */
 /* eslint-disable no-cond-assign */
 /* eslint-disable import/prefer-default-export */
 
@@ -6,62 +5,134 @@
 // this script should execute after script.js but before the the universal editor cors script
 // and any block being loaded
 
-export function decorateRichtext(container = document) {
-  function deleteInstrumentation(element) {
-    delete element.dataset.richtextResource;
-    delete element.dataset.richtextProp;
-    delete element.dataset.richtextFilter;
-    delete element.dataset.richtextLabel;
+function deleteInstrumentation(element) {
+  delete element.dataset.richtextResource;
+  delete element.dataset.richtextProp;
+  delete element.dataset.richtextFilter;
+  delete element.dataset.richtextLabel;
+}
+
+/**
+ * Returns all elements of a richtext, split in runs of consecutive siblings.
+ * @param {Element} element The first element of the richtext
+ * @param {Element} editable The closest editable parent, for richtexts without resource
+ * @returns {Element[][]} The runs of elements
+ */
+function getRuns(element, editable) {
+  const { richtextResource, richtextProp } = element.dataset;
+  const elements = richtextResource
+    ? [...document.querySelectorAll(`[data-richtext-resource="${richtextResource}"][data-richtext-prop="${richtextProp}"]`)]
+    : [...editable.querySelectorAll(`[data-richtext-prop="${richtextProp}"]:not([data-richtext-resource])`)]
+      .filter((candidate) => candidate.closest('[data-aue-resource]') === editable);
+  if (!elements.includes(element)) elements.unshift(element);
+
+  return elements.reduce((runs, candidate) => {
+    const run = runs[runs.length - 1];
+    if (run && candidate.previousElementSibling === run[run.length - 1]) run.push(candidate);
+    else runs.push([candidate]);
+    return runs;
+  }, []);
+}
+
+/**
+ * Returns the nodes from the first to the last element of the runs, if the runs can be grouped
+ * in a single wrapper without moving other content: they are siblings and the nodes between them
+ * are empty.
+ * @param {Element[][]} runs The runs of elements
+ * @returns {Node[]} The nodes to group, or null
+ */
+function getRange(runs) {
+  const elements = runs.flat();
+  const [first] = elements;
+  const last = elements[elements.length - 1];
+  if (elements.some((element) => element.parentElement !== first.parentElement)) return null;
+  const range = [];
+  let node = first;
+  while (node && node !== last) {
+    range.push(node);
+    node = node.nextSibling;
   }
+  if (!node) return null;
+  range.push(last);
+  const hasContent = range
+    .filter((n) => !elements.includes(n))
+    .some((n) => n.textContent.trim() || (n.nodeType === Node.ELEMENT_NODE
+      && (n.matches('[data-aue-resource]') || n.querySelector('[data-aue-resource], img, picture, video, iframe'))));
+  return hasContent ? null : range;
+}
+
+function group(elements, {
+  richtextResource,
+  richtextProp,
+  richtextFilter,
+  richtextLabel,
+}) {
+  const wrapper = document.createElement('div');
+  if (richtextResource) {
+    wrapper.dataset.aueResource = richtextResource;
+    wrapper.dataset.aueBehavior = 'component';
+  }
+  if (richtextProp) wrapper.dataset.aueProp = richtextProp;
+  if (richtextLabel) wrapper.dataset.aueLabel = richtextLabel;
+  if (richtextFilter) wrapper.dataset.aueFilter = richtextFilter;
+  wrapper.dataset.aueType = 'richtext';
+  elements[0].replaceWith(wrapper);
+  wrapper.append(...elements);
+}
+
+function orphan(elements) {
+  elements.forEach((element) => {
+    deleteInstrumentation(element);
+    // rendered as inline warning by the authoring aids
+    element.dataset.richtextOrphan = '';
+  });
+}
+
+/**
+ * Groups the elements of each richtext in an editable wrapper. The editor saves the content of
+ * the wrapper as the whole richtext, so elements that are not consecutive siblings are only
+ * grouped if nothing but empty nodes is between them, and are left uneditable otherwise.
+ * Problems are reported with a richtext:report event on the document, with the entries of the
+ * report as detail.
+ * @param {Element|Document} [container] The container to decorate
+ * @returns {object[]} The report entries, with resource, prop, reason and elements
+ */
+export function decorateRichtext(container = document) {
+  const report = [];
 
   let element;
   while (element = container.querySelector('[data-richtext-prop]:not(div)')) {
-    const {
-      richtextResource,
-      richtextProp,
-      richtextFilter,
-      richtextLabel,
-    } = element.dataset;
-    deleteInstrumentation(element);
-    const siblings = [];
-    let sibling = element;
-    while (sibling = sibling.nextElementSibling) {
-      if (sibling.dataset.richtextResource === richtextResource
-        && sibling.dataset.richtextProp === richtextProp) {
-        deleteInstrumentation(sibling);
-        siblings.push(sibling);
-      } else break;
-    }
+    const instrumentation = { ...element.dataset };
+    const { richtextResource: resource, richtextProp: prop } = instrumentation;
+    const editable = resource ? null : element.closest('[data-aue-resource]');
 
-    let orphanElements;
-    if (richtextResource && richtextProp) {
-      orphanElements = document.querySelectorAll(`[data-richtext-id="${richtextResource}"][data-richtext-prop="${richtextProp}"]`);
+    if (!resource && !editable) {
+      report.push({
+        resource, prop, reason: 'no-editable-parent', elements: [element],
+      });
+      orphan([element]);
     } else {
-      const editable = element.closest('[data-aue-resource]');
-      if (editable) {
-        orphanElements = editable.querySelectorAll(`:scope > :not([data-aue-resource]) [data-richtext-prop="${richtextProp}"]`);
+      const runs = getRuns(element, editable);
+      runs.flat().forEach(deleteInstrumentation);
+      const range = runs.length > 1 ? getRange(runs) : runs[0];
+      if (range) {
+        group(range, instrumentation);
+        if (runs.length > 1) {
+          report.push({
+            resource, prop, reason: 'regrouped', elements: runs.flat(),
+          });
+        }
       } else {
-        console.warn(`Editable parent not found or richtext property ${richtextProp}`);
-        return;
+        orphan(runs.flat());
+        report.push({
+          resource, prop, reason: 'orphaned', elements: runs.flat(),
+        });
       }
     }
+  }
 
-    if (orphanElements.length) {
-      console.warn('Found orphan elements of a richtext, that were not consecutive siblings of '
-        + 'the first paragraph', orphanElements);
-      orphanElements.forEach((orphanElement) => deleteInstrumentation(orphanElement));
-    } else {
-      const group = document.createElement('div');
-      if (richtextResource) {
-        group.dataset.aueResource = richtextResource;
-        group.dataset.aueBehavior = 'component';
-      }
-      if (richtextProp) group.dataset.aueProp = richtextProp;
-      if (richtextLabel) group.dataset.aueLabel = richtextLabel;
-      if (richtextFilter) group.dataset.aueFilter = richtextFilter;
-      group.dataset.aueType = 'richtext';
-      element.replaceWith(group);
-      group.append(element, ...siblings);
-    }
+  if (report.length) {
+    document.dispatchEvent(new CustomEvent('richtext:report', { detail: report }));
   }
+  return report;
 }
@@ -5,31 +5,178 @@ import {
   decorateIcons,
   decorateSections,
   loadBlock,
+  loadCSS,
   loadScript,
+  loadSection,
   loadSections,
 } from './aem.js';
 import { decorateRichtext } from './editor-support-rte.js';
-import { decorateMain } from './scripts.js';
+import { decorateAuthoringAids } from './editor-support-aids.js';
+import { decorateMain, pageLoaded } from './scripts.js';
+import { invalidateFragment } from '../blocks/fragment/fragment.js';
 
-async function applyChanges(event) {
-  // redecorate default content and blocks on patches (in the properties rail)
-  const { detail } = event;
-
-  const resource = detail?.request?.target?.resource // update, patch components
-    || detail?.request?.target?.container?.resource // update, patch, add to sections
-    || detail?.request?.to?.container?.resource; // move in sections
-  if (!resource) return false;
-  const updates = detail?.response?.updates;
-  if (!updates.length) return false;
-  const { content } = updates[0];
-  if (!content) return false;
+/**
+ * Returns the element of a resource, a component or a richtext group.
+ * @param {string} resource The resource
+ * @returns {Element} The element, or null
+ */
+function findResource(resource) {
+  return resource ? document.querySelector(`[data-aue-resource="${resource}"]`) : null;
+}
 
+/**
+ * Sanitizes and parses the content of an update.
+ * @param {string} content The html of the update
+ * @returns {Promise<Document>} The parsed update
+ */
+async function parseContent(content) {
   // load dompurify
   await loadScript(`${window.hlx.codeBasePath}/scripts/dompurify.min.js`);
 
   const sanitizedContent = window.DOMPurify.sanitize(content, { USE_PROFILES: { html: true } });
-  const parsedUpdate = new DOMParser().parseFromString(sanitizedContent, 'text/html');
-  const element = document.querySelector(`[data-aue-resource="${resource}"]`);
+  return new DOMParser().parseFromString(sanitizedContent, 'text/html');
+}
+
+/**
+ * Re-runs the section decoration that depends on its content after content was added, moved
+ * or removed: wrappers left empty are removed, adjacent default content wrappers are merged
+ * and the block container classes are updated.
+ * @param {Element} section The section
+ */
+function redecorateSection(section) {
+  if (!section) return;
+  section.querySelectorAll(':scope > div').forEach((wrapper) => {
+    const previous = wrapper.previousElementSibling;
+    if (!wrapper.children.length) {
+      wrapper.remove();
+    } else if (wrapper.classList.contains('default-content-wrapper')
+      && previous?.classList.contains('default-content-wrapper')) {
+      previous.append(...wrapper.children);
+      wrapper.remove();
+    }
+  });
+  [...section.classList]
+    .filter((c) => c.endsWith('-container'))
+    .forEach((c) => section.classList.remove(c));
+  section.querySelectorAll(':scope > div > .block').forEach((block) => {
+    section.classList.add(`${block.dataset.blockName}-container`);
+  });
+}
+
+/**
+ * Inserts a block wrapper or default content into a decorated section, before the given
+ * element of the section or at its end. Default content wrappers are reused, created or split
+ * as needed.
+ * @param {Element} section The section
+ * @param {Element[]} nodes The block wrapper, or the default content elements
+ * @param {boolean} isBlock Whether the nodes are a block wrapper
+ * @param {Element} [before] The element of the section to insert the nodes before
+ */
+function insertIntoSection(section, nodes, isBlock, before) {
+  const beforeWrapper = before?.closest('.section > div');
+  const createWrapper = () => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'default-content-wrapper';
+    return wrapper;
+  };
+  if (isBlock) {
+    if (beforeWrapper?.classList.contains('default-content-wrapper')
+      && before !== beforeWrapper.firstElementChild) {
+      const split = createWrapper();
+      let sibling = before;
+      while (sibling) {
+        const next = sibling.nextElementSibling;
+        split.append(sibling);
+        sibling = next;
+      }
+      beforeWrapper.after(split);
+      split.before(...nodes);
+    } else if (beforeWrapper) {
+      beforeWrapper.before(...nodes);
+    } else {
+      section.append(...nodes);
+    }
+  } else if (beforeWrapper?.classList.contains('default-content-wrapper')) {
+    before.before(...nodes);
+  } else {
+    const previous = beforeWrapper
+      ? beforeWrapper.previousElementSibling
+      : section.lastElementChild;
+    if (previous?.classList.contains('default-content-wrapper')) {
+      previous.append(...nodes);
+    } else {
+      const wrapper = createWrapper();
+      wrapper.append(...nodes);
+      if (beforeWrapper) beforeWrapper.before(wrapper);
+      else section.append(wrapper);
+    }
+  }
+}
+
+/**
+ * Returns the module of a loaded block, or of a block that failed to decorate.
+ * @param {Element} block The block
+ * @returns {Promise<object>} The block module, or null
+ */
+async function getBlockModule(block) {
+  const { blockName, blockStatus } = block.dataset;
+  // blocks that failed to decorate may have set up state to destroy as well
+  if (!blockName || !['loaded', 'error'].includes(blockStatus)) return null;
+  try {
+    return await import(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Calls the optional destroy(block) hook of the blocks in an element that is about to be
+ * removed.
+ * @param {Element} element The element
+ */
+async function destroyBlocks(element) {
+  const blocks = [...element.querySelectorAll('.block')];
+  if (element.matches('.block')) blocks.unshift(element);
+  await Promise.all(blocks.map(async (block) => {
+    try {
+      const mod = await getBlockModule(block);
+      if (mod?.destroy) await mod.destroy(block);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`failed to destroy ${block.dataset.blockName}`, error);
+    }
+  }));
+}
+
+/**
+ * Calls the optional update(block, newBlock) hook of a block to apply a patch in place.
+ * @param {Element} block The decorated block
+ * @param {Element} newBlock The undecorated block of the update
+ * @returns {Promise<boolean>} true if the block applied the update
+ */
+async function updateBlock(block, newBlock) {
+  try {
+    const mod = await getBlockModule(block);
+    if (!mod?.update) return false;
+    // blocks return false to be re-decorated after all
+    if (await mod.update(block, newBlock) === false) return false;
+    decorateRichtext(block);
+    return true;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`failed to update ${block.dataset.blockName}`, error);
+    return false;
+  }
+}
+
+/**
+ * Re-renders the element of a resource with its content from an update.
+ * @param {string} resource The resource
+ * @param {Document} parsedUpdate The parsed update
+ * @returns {Promise<boolean>} true if the update was applied
+ */
+async function applyUpdate(resource, parsedUpdate) {
+  const element = findResource(resource);
 
   if (element) {
     if (element.matches('main')) {
@@ -39,6 +186,7 @@ async function applyChanges(event) {
       decorateMain(newMain);
       decorateRichtext(newMain);
       await loadSections(newMain);
+      await destroyBlocks(element);
       element.remove();
       newMain.style.display = null;
       // eslint-disable-next-line no-use-before-define
@@ -50,6 +198,7 @@ async function applyChanges(event) {
     if (block) {
       const blockResource = block.getAttribute('data-aue-resource');
       const newBlock = parsedUpdate.querySelector(`[data-aue-resource="${blockResource}"]`);
+      if (newBlock && await updateBlock(block, newBlock)) return true;
       if (newBlock) {
         newBlock.style.display = 'none';
         block.insertAdjacentElement('afterend', newBlock);
@@ -58,6 +207,7 @@ async function applyChanges(event) {
         decorateBlock(newBlock);
         decorateRichtext(newBlock);
         await loadBlock(newBlock);
+        await destroyBlocks(block);
         block.remove();
         newBlock.style.display = null;
         return true;
@@ -77,6 +227,7 @@ async function applyChanges(event) {
           decorateSections(parentElement);
           decorateBlocks(parentElement);
           await loadSections(parentElement);
+          await destroyBlocks(element);
           element.remove();
           newSection.style.display = null;
         } else {
@@ -93,23 +244,283 @@ async function applyChanges(event) {
   return false;
 }
 
+async function applyChanges(event) {
+  // redecorate default content and blocks on patches (in the properties rail)
+  const { detail } = event;
+
+  const resource = detail?.request?.target?.resource // update, patch components
+    || detail?.request?.target?.container?.resource // update, patch, add to sections
+    || detail?.request?.to?.container?.resource; // move in sections
+  if (!resource) return false;
+  const updates = detail?.response?.updates;
+  if (!updates?.length) return false;
+  if (updates.some(({ content }) => !content)) return false;
+
+  // apply all updates in order, e.g. both containers of a move
+  let applied = true;
+  for (let i = 0; i < updates.length; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const parsedUpdate = await parseContent(updates[i].content);
+    // eslint-disable-next-line no-await-in-loop
+    applied = await applyUpdate(updates[i].resource || resource, parsedUpdate) && applied;
+  }
+  return applied;
+}
+
+/**
+ * Removes the element of a removed component and redecorates its section.
+ * @param {CustomEvent} event The aue:content-remove event
+ * @returns {Promise<boolean>} true if the change was applied
+ */
+async function removeContent(event) {
+  const element = findResource(event.detail?.request?.target?.resource);
+  if (!element || element.matches('main')) return applyChanges(event);
+  const section = element.closest('.section');
+  await destroyBlocks(element);
+  // blocks are removed with their wrapper
+  (element.matches('.block') ? element.parentElement : element).remove();
+  if (section !== element) redecorateSection(section);
+  return true;
+}
+
+/**
+ * Moves the element of a moved section, block or default content to its new container.
+ * Components moved within blocks are re-rendered from the updates instead.
+ * @param {CustomEvent} event The aue:content-move event
+ * @returns {Promise<boolean>} true if the change was applied
+ */
+async function moveContent(event) {
+  const { request } = event.detail || {};
+  const element = findResource(request?.component?.resource || request?.target?.resource);
+  const container = findResource(request?.to?.container?.resource);
+  if (!element || !container) return applyChanges(event);
+  const before = findResource(request.to.before?.resource);
+
+  if (container.matches('main') && element.matches('.section')) {
+    container.insertBefore(element, before);
+    return true;
+  }
+
+  const sourceSection = element.closest('.section');
+  const isTopLevel = element.parentElement?.parentElement === sourceSection;
+  if (container.matches('.section') && !element.matches('.section') && isTopLevel) {
+    const isBlock = element.matches('.block');
+    insertIntoSection(container, [isBlock ? element.parentElement : element], isBlock, before);
+    redecorateSection(sourceSection);
+    redecorateSection(container);
+    return true;
+  }
+
+  return applyChanges(event);
+}
+
+/**
+ * Inserts and decorates the elements of added or copied sections, blocks and default content,
+ * i.e. the components of the updated container that are not on the page yet. Components added
+ * to blocks are re-rendered from the updates instead.
+ * @param {CustomEvent} event The aue:content-add or aue:content-copy event
+ * @returns {Promise<boolean>} true if the change was applied
+ */
+async function addContent(event) {
+  const { detail } = event;
+  const containerResource = detail?.request?.target?.container?.resource;
+  const container = findResource(containerResource);
+  const updates = detail?.response?.updates || [];
+  const update = updates.find(({ resource }) => resource === containerResource) || updates[0];
+  if (!container?.matches('main, .section') || !update?.content) return applyChanges(event);
+
+  const parsedUpdate = await parseContent(update.content);
+  const newContainer = parsedUpdate.querySelector(`[data-aue-resource="${containerResource}"]`);
+  if (!newContainer) return applyChanges(event);
+
+  // richtext is rendered as several elements sharing a resource
+  const resourceOf = (el) => el.dataset.aueResource || el.dataset.richtextResource;
+  const children = [...newContainer.children].filter(resourceOf);
+  const added = [...new Set(children.map(resourceOf))]
+    .filter((resource) => !findResource(resource));
+  if (!added.length) return applyChanges(event);
+
+  for (let i = 0; i < added.length; i += 1) {
+    const nodes = children.filter((child) => resourceOf(child) === added[i]);
+    const before = children
+      .slice(children.indexOf(nodes[nodes.length - 1]) + 1)
+      .map((child) => findResource(resourceOf(child)))
+      .find(Boolean);
+
+    if (container.matches('main')) {
+      const [section] = nodes;
+      container.insertBefore(section, before || null);
+      decorateButtons(section);
+      decorateIcons(section);
+      decorateRichtext(section);
+      decorateSections(container);
+      decorateBlocks(container);
+      // eslint-disable-next-line no-await-in-loop
+      await loadSection(section);
+    } else if (nodes[0].tagName === 'DIV' && nodes[0].className) {
+      const [block] = nodes;
+      const wrapper = document.createElement('div');
+      wrapper.append(block);
+      insertIntoSection(container, [wrapper], true, before);
+      decorateButtons(block);
+      decorateIcons(block);
+      decorateBlock(block);
+      decorateRichtext(block);
+      // eslint-disable-next-line no-await-in-loop
+      await loadBlock(block);
+    } else {
+      insertIntoSection(container, nodes, false, before);
+      nodes.forEach((node) => {
+        decorateButtons(node);
+        decorateIcons(node);
+      });
+      decorateRichtext(container);
+    }
+  }
+  redecorateSection(container.matches('.section') ? container : null);
+  return true;
+}
+
+const STATE_KEY = 'aue:state';
+
+let selectedResource = null;
+
+/**
+ * Returns a selector for an element, relative to its closest ancestor with an id.
+ * @param {Element} element The element
+ * @returns {string} The selector
+ */
+function getSelector(element) {
+  const path = [];
+  let current = element;
+  while (current.parentElement && current !== document.body && !current.id) {
+    const index = [...current.parentElement.children].indexOf(current) + 1;
+    path.unshift(`${current.tagName.toLowerCase()}:nth-child(${index})`);
+    current = current.parentElement;
+  }
+  path.unshift(current.id ? `#${CSS.escape(current.id)}` : 'body');
+  return path.join(' > ');
+}
+
+/**
+ * Resolves once the block has been loaded, or failed to.
+ * @param {Element} block The block
+ * @returns {Promise<void>}
+ */
+function whenLoaded(block) {
+  const done = () => ['loaded', 'error'].includes(block.dataset.blockStatus);
+  return new Promise((resolve) => {
+    if (!block || done()) {
+      resolve();
+      return;
+    }
+    const observer = new MutationObserver(() => {
+      if (!done()) return;
+      observer.disconnect();
+      resolve();
+    });
+    observer.observe(block, { attributeFilter: ['data-block-status'] });
+  });
+}
+
+/**
+ * Persists the selected component, the scroll offset and the open ui state, like the expanded
+ * nav, open accordion items or active tabs, and reloads the page.
+ */
+function reload() {
+  const state = {
+    path: window.location.pathname,
+    resource: selectedResource,
+    scrollY: window.scrollY,
+    expanded: [...document.querySelectorAll('[aria-expanded="true"]')].map(getSelector),
+    open: [...document.querySelectorAll('details[open]')].map(getSelector),
+    selected: [...document.querySelectorAll('[role="tab"][aria-selected="true"]')].map(getSelector),
+  };
+  try {
+    sessionStorage.setItem(STATE_KEY, JSON.stringify(state));
+  } catch (e) {
+    // storage may be full or disabled, reload without state
+  }
+  window.location.reload();
+}
+
+/**
+ * Restores the state persisted before a reload once the page has been loaded and selects the
+ * previously selected component again.
+ */
+async function restoreState() {
+  let state;
+  try {
+    state = JSON.parse(sessionStorage.getItem(STATE_KEY));
+    sessionStorage.removeItem(STATE_KEY);
+  } catch (e) {
+    return;
+  }
+  if (!state || state.path !== window.location.pathname) return;
+
+  await pageLoaded;
+  await Promise.all([...document.querySelectorAll('header .block, footer .block')].map(whenLoaded));
+
+  const find = (selector) => {
+    try {
+      return document.querySelector(selector);
+    } catch (e) {
+      return null;
+    }
+  };
+  state.expanded.map(find).forEach((element) => {
+    if (!element || element.getAttribute('aria-expanded') === 'true') return;
+    // expand through the element itself if it is the control, else through its control
+    const control = element.matches('button, [role="button"], [role="tab"]')
+      ? element
+      : element.id && document.querySelector(`[aria-controls="${element.id}"]`);
+    if (control) control.click();
+  });
+  state.open.map(find).forEach((element) => {
+    if (element) element.open = true;
+  });
+  state.selected.map(find).forEach((element) => {
+    if (element?.getAttribute('aria-selected') !== 'true') element?.click();
+  });
+
+  window.scrollTo({ top: state.scrollY, behavior: 'instant' });
+  // the editor selects the component that is clicked in the canvas
+  findResource(state.resource)?.click();
+}
+
 function attachEventListners(main) {
-  [
-    'aue:content-patch',
-    'aue:content-update',
-    'aue:content-add',
-    'aue:content-move',
-    'aue:content-remove',
-    'aue:content-copy',
-  ].forEach((eventType) => main?.addEventListener(eventType, async (event) => {
-    event.stopPropagation();
-    const applied = await applyChanges(event);
-    if (!applied) window.location.reload();
-  }));
+  const handlers = {
+    'aue:content-patch': applyChanges,
+    'aue:content-update': applyChanges,
+    'aue:content-add': addContent,
+    'aue:content-move': moveContent,
+    'aue:content-remove': removeContent,
+    'aue:content-copy': addContent,
+  };
+  Object.entries(handlers).forEach(([eventType, handler]) => {
+    main?.addEventListener(eventType, async (event) => {
+      event.stopPropagation();
+      // the page may be a fragment included elsewhere, like the nav, drop its cached copy
+      invalidateFragment(window.location.pathname);
+      const applied = await handler(event);
+      if (!applied) reload();
+      else decorateAuthoringAids();
+    });
+  });
 }
 
 attachEventListners(document.querySelector('main'));
 
+// remember the selected component to select it again after a reload
+document.addEventListener('aue:ui-select', ({ detail }) => {
+  if (detail?.selected) selectedResource = detail.resource;
+  else if (detail?.resource === selectedResource) selectedResource = null;
+});
+restoreState();
+
+loadCSS(`${window.hlx.codeBasePath}/styles/editor-support.css`);
+pageLoaded.then(() => decorateAuthoringAids());
+
 // decorate rich text
 // this has to happen after decorateMain(), and everythime decorateBlocks() is called
 decorateRichtext();
@@ -0,0 +1,233 @@
+import {
+  getMetadata,
+  readBlockConfig,
+  sampleRUM,
+  toClassName,
+} from './aem.js';
+import { hasConsent, onConsentChange } from './consent.js';
+
+const STORAGE_KEY = 'experiments';
+
+/**
+ * Returns the storages of the visitor id and the variants. The local storage keeps them across
+ * visits and needs analytics consent, the session storage buckets visitors per session.
+ * @returns {string[]} The names of the storages, the one to read first first
+ */
+function getStorages() {
+  return hasConsent('analytics') ? ['localStorage', 'sessionStorage'] : ['sessionStorage'];
+}
+
+/**
+ * Reads the visitor id and the variants the visitor was assigned to before.
+ * @returns {{visitor: string, assignments: object}} The visitor id and the variants, by
+ * experiment
+ */
+function readStorage() {
+  const stored = getStorages().map((name) => {
+    try {
+      return JSON.parse(window[name].getItem(STORAGE_KEY));
+    } catch (e) {
+      return null;
+    }
+  }).find((value) => value?.visitor);
+  return stored
+    ? { assignments: {}, ...stored }
+    : { visitor: crypto.randomUUID(), assignments: {} };
+}
+
+/**
+ * Stores the visitor id and the variants the visitor is assigned to.
+ * @param {{visitor: string, assignments: object}} stored The visitor id and the variants
+ */
+function writeStorage(stored) {
+  getStorages().forEach((name) => {
+    try {
+      window[name].setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (e) {
+      // storage may be disabled, the visitor is bucketed again on the next page
+    }
+  });
+}
+
+// the visitor id is forgotten across visits once the analytics consent is withdrawn
+onConsentChange(({ analytics }) => {
+  if (analytics) return;
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // storage may be disabled
+  }
+});
+
+/**
+ * Hashes a string to a number between 0 and 1, the same for the same string.
+ * @param {string} value The string
+ * @returns {number} The hash
+ */
+function hash(value) {
+  // FNV-1a
+  let h = 0x811c9dc5;
+  [...value].forEach((char) => {
+    // eslint-disable-next-line no-bitwise
+    h ^= char.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  });
+  // eslint-disable-next-line no-bitwise
+  return (h >>> 0) / 0x100000000;
+}
+
+/**
+ * Parses the config of an experiment. Variants are named control, for the authored content,
+ * and challenger-1, challenger-2 and so on, for the paths of the alternative content. The
+ * split lists the share of each challenger in percent, the control gets the rest. Without
+ * split, or with shares over 100 percent, all variants get the same share.
+ * @param {string} name The name of the experiment
+ * @param {string|string[]} variants The paths of the challengers, comma separated
+ * @param {string|string[]} [split] The shares of the challengers, comma separated
+ * @returns {object} The experiment, with its variants and their paths and shares
+ */
+function parseExperiment(name, variants, split = '') {
+  const list = (value) => [].concat(value)
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+  const paths = list(variants).map((path) => new URL(path, window.location.href).pathname);
+  let shares = list(split).map((share) => parseFloat(share) / 100);
+  const sum = shares.reduce((a, b) => a + b, 0);
+  if (shares.length !== paths.length || shares.some(Number.isNaN) || sum > 1) {
+    shares = paths.map(() => 1 / (paths.length + 1));
+  }
+  return {
+    name: toClassName(name),
+    variants: [
+      { name: 'control', path: null, share: 1 - shares.reduce((a, b) => a + b, 0) },
+      ...paths.map((path, i) => ({ name: `challenger-${i + 1}`, path, share: shares[i] })),
+    ],
+  };
+}
+
+/**
+ * Assigns the visitor to a variant of an experiment: the one of the experiment query parameter,
+ * e.g. ?experiment=name/challenger-1, the one assigned before, or else the one the visitor id
+ * falls into.
+ * @param {object} experiment The experiment
+ * @param {{visitor: string, assignments: object}} stored The visitor id and the variants
+ * @returns {object} The variant
+ */
+function assignVariant(experiment, stored) {
+  const { name, variants } = experiment;
+  const [overrideName, overrideVariant] = (new URLSearchParams(window.location.search)
+    .get('experiment') || '').split('/');
+  const override = toClassName(overrideName) === name
+    && variants.find((variant) => variant.name === toClassName(overrideVariant));
+  if (override) return override;
+
+  const previous = variants.find((variant) => variant.name === stored.assignments[name]);
+  if (previous) return previous;
+
+  const bucket = hash(`${stored.visitor}:${name}`);
+  let total = 0;
+  const variant = variants.find(({ share }) => {
+    total += share;
+    return bucket < total;
+  }) || variants[0];
+  stored.assignments[name] = variant.name;
+  return variant;
+}
+
+/**
+ * Fetches the content of a variant.
+ * @param {string} path The path of the variant
+ * @returns {Promise<Element>} The content, in a main element, or null
+ */
+async function fetchVariant(path) {
+  try {
+    const resp = await fetch(`${path}.plain.html`);
+    if (!resp.ok) return null;
+    const main = document.createElement('main');
+    main.innerHTML = await resp.text();
+    // reset base path for media to the variant base
+    main.querySelectorAll('img[src^="./media_"], source[srcset^="./media_"]').forEach((el) => {
+      const attr = el.tagName === 'IMG' ? 'src' : 'srcset';
+      el.setAttribute(attr, new URL(el.getAttribute(attr), new URL(path, window.location)).href);
+    });
+    return main;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Runs an experiment, replacing the content of an element with the content of the variant of
+ * the visitor.
+ * @param {object} experiment The experiment
+ * @param {{visitor: string, assignments: object}} stored The visitor id and the variants
+ * @param {Function} swap Replaces the content with the fetched content of the variant
+ * @returns {Promise<{name: string, variant: string}>} The experiment and the variant shown
+ */
+async function runExperiment(experiment, stored, swap) {
+  let variant = assignVariant(experiment, stored);
+  const content = variant.path && await fetchVariant(variant.path);
+  if (content) swap(content);
+  else if (variant.path) [variant] = experiment.variants;
+  sampleRUM('experiment', { source: experiment.name, target: variant.name });
+  return { name: experiment.name, variant: variant.name };
+}
+
+/**
+ * Runs the experiments of the page and of its sections, before the main element is decorated.
+ * The experiment of the page, set with the experiment, experiment-variants and experiment-split
+ * metadata, replaces the whole content with the content of another page. Experiments of
+ * sections, set with the same keys in their section metadata, replace the content of the
+ * section with the content of a fragment. Experiments don't run in the Universal Editor.
+ * @param {Element} main The main element
+ * @returns {Promise<Array<{name: string, variant: string}>>} The experiments run, with the
+ * variant shown
+ */
+export async function runExperiments(main) {
+  window.hlx.experiments = [];
+  if (main.querySelector('[data-aue-resource]')) return window.hlx.experiments;
+  const stored = readStorage();
+
+  const name = getMetadata('experiment');
+  if (name) {
+    const experiment = parseExperiment(
+      name,
+      getMetadata('experiment-variants'),
+      getMetadata('experiment-split'),
+    );
+    window.hlx.experiments.push(await runExperiment(experiment, stored, (content) => {
+      main.replaceChildren(...content.childNodes);
+    }));
+  }
+
+  const sections = [...main.querySelectorAll(':scope > div > div.section-metadata')]
+    .map((meta) => ({ section: meta.parentElement, config: readBlockConfig(meta) }))
+    .filter(({ config }) => config.experiment);
+  const results = await Promise.all(sections.map(({ section, config }) => {
+    const experiment = parseExperiment(
+      config.experiment,
+      config['experiment-variants'],
+      config['experiment-split'],
+    );
+    return runExperiment(experiment, stored, (content) => {
+      // keep the metadata of the section, e.g. its style
+      const meta = section.querySelector(':scope > div.section-metadata');
+      section.replaceChildren(...(content.querySelector(':scope > div')?.childNodes || []), meta);
+    });
+  }));
+  window.hlx.experiments.push(...results);
+
+  if (window.hlx.experiments.length) writeStorage(stored);
+  return window.hlx.experiments;
+}
+
+/**
+ * Returns the variant of an experiment shown on the page.
+ * @param {string} name The name of the experiment
+ * @returns {string} The variant, if the experiment runs on the page
+ */
+export function getExperimentVariant(name) {
+  return window.hlx.experiments
+    ?.find((experiment) => experiment.name === toClassName(name))?.variant;
+}
@@ -0,0 +1,226 @@
+import { getMetadata, toCamelCase } from './aem.js';
+
+// the locale of pages without locale prefix in their path
+export const DEFAULT_LOCALE = 'en';
+
+// sheet mapping pages to their translations, with a column of paths per locale
+export const TRANSLATIONS_SHEET = '/translations.json';
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+const PREFERRED_LOCALE_KEY = 'locale';
+
+const placeholders = {};
+
+let translations;
+
+let locales;
+
+/**
+ * Returns the name of a language, in the language itself.
+ * @param {string} lang The language tag
+ * @returns {string} The name, or null for invalid tags
+ */
+function getLanguageName(lang) {
+  try {
+    const name = new Intl.DisplayNames([lang], { type: 'language' }).of(lang);
+    return `${name.charAt(0).toLocaleUpperCase(lang)}${name.substring(1)}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the locales of the site, the default locale and the ones of the locales metadata, a
+ * comma separated list of language tags set for the whole site in the bulk metadata, e.g.
+ * `de, fr-CA`. The path prefix of a locale is its lower cased language tag.
+ * @returns {object} The language tag and name of each locale, by path prefix
+ */
+export function getLocales() {
+  if (!locales) {
+    locales = Object.fromEntries([DEFAULT_LOCALE, ...getMetadata('locales').split(',')]
+      .map((lang) => lang.trim())
+      .filter(Boolean)
+      .map((lang) => [lang.toLowerCase(), { lang, name: getLanguageName(lang) }])
+      .filter(([, { name }]) => name));
+  }
+  return locales;
+}
+
+/**
+ * Returns the locale of the page, from the locale metadata or else the prefix of its path.
+ * @returns {{locale: string, lang: string, dir: string, prefix: string}} The locale, its
+ * language tag, text direction and path prefix
+ */
+export function getLocale() {
+  const [, segment] = window.location.pathname.split('/');
+  const meta = getMetadata('locale').toLowerCase();
+  const all = getLocales();
+  let locale = DEFAULT_LOCALE;
+  if (all[meta]) locale = meta;
+  else if (all[segment]) locale = segment;
+  const { lang } = all[locale];
+  return {
+    locale,
+    lang,
+    dir: RTL_LANGUAGES.includes(lang.split('-')[0]) ? 'rtl' : 'ltr',
+    prefix: locale === DEFAULT_LOCALE ? '' : `/${locale}`,
+  };
+}
+
+/**
+ * Returns the path of a page in a locale.
+ * @param {string} path The path, without locale prefix
+ * @param {string} [locale] The locale, the one of the page by default
+ * @returns {string} The path with the prefix of the locale
+ */
+export function localizePath(path, locale = getLocale().locale) {
+  const prefix = locale === DEFAULT_LOCALE ? '' : `/${locale}`;
+  return `${prefix}${path}`.replace(/(.)\/$/, '$1');
+}
+
+/**
+ * Removes the locale prefix from a path.
+ * @param {string} path The path
+ * @returns {string} The path without locale prefix
+ */
+export function unlocalizePath(path) {
+  const [, segment] = path.split('/');
+  return getLocales()[segment] && segment !== DEFAULT_LOCALE
+    ? path.substring(segment.length + 1) || '/'
+    : path;
+}
+
+/**
+ * Returns the locale of a path, from its prefix.
+ * @param {string} path The path
+ * @returns {string} The locale
+ */
+export function getPathLocale(path) {
+  const [, segment] = path.split('/');
+  return getLocales()[segment] ? segment : DEFAULT_LOCALE;
+}
+
+/**
+ * Fetches the placeholders of a locale from the placeholders sheet, which has a Key column and
+ * a column per locale. Keys are camel cased, texts missing for the locale fall back to the
+ * default locale.
+ * @param {string} [locale] The locale, the one of the page by default
+ * @returns {Promise<object>} The placeholders, by key
+ */
+export async function fetchPlaceholders(locale = getLocale().locale) {
+  if (!placeholders[locale]) {
+    placeholders[locale] = fetch('/placeholders.json')
+      .then((resp) => (resp.ok ? resp.json() : {}))
+      .then(({ data = [] }) => Object.fromEntries(data
+        .filter((row) => row.Key)
+        .map((row) => [toCamelCase(row.Key), row[locale] || row[DEFAULT_LOCALE] || ''])))
+      .catch(() => ({}));
+  }
+  return placeholders[locale];
+}
+
+/**
+ * Returns a placeholder with its {name} tokens replaced by values.
+ * @param {object} texts The placeholders
+ * @param {string} key The key of the placeholder
+ * @param {string} fallback The text if there is no placeholder for the key
+ * @param {object} [values] The values of the tokens, by name
+ * @returns {string} The text
+ */
+export function formatPlaceholder(texts, key, fallback, values = {}) {
+  return (texts[key] || fallback)
+    .replace(/\{(\w+)\}/g, (token, name) => (name in values ? values[name] : token));
+}
+
+/**
+ * Adds hreflang alternate links to the head, to the page at the same path in each locale of the
+ * site and to the one of the default locale as x-default. The alternate-<locale> metadata of the
+ * page, e.g. alternate-de, sets the path of a translation at another path, or none if the page
+ * isn't translated to that locale.
+ */
+export function decorateAlternates() {
+  const all = getLocales();
+  if (Object.keys(all).length < 2) return;
+  const path = unlocalizePath(window.location.pathname);
+  const alternates = Object.entries(all).map(([locale, { lang }]) => {
+    const meta = getMetadata(`alternate-${locale}`);
+    if (meta.toLowerCase() === 'none') return null;
+    return { locale, lang, path: meta || localizePath(path, locale) };
+  }).filter(Boolean);
+  const fallback = alternates.find(({ locale }) => locale === DEFAULT_LOCALE);
+  if (fallback) alternates.push({ lang: 'x-default', path: fallback.path });
+  alternates.forEach(({ lang, path: href }) => {
+    const link = document.createElement('link');
+    link.rel = 'alternate';
+    link.hreflang = lang;
+    link.href = new URL(href, window.location.href).href;
+    document.head.append(link);
+  });
+}
+
+/**
+ * Fetches the rows of the translations sheet.
+ * @returns {Promise<object[]>} The rows, with the path of the page in each locale
+ */
+function fetchTranslations() {
+  if (!translations) {
+    translations = fetch(TRANSLATIONS_SHEET)
+      .then((resp) => (resp.ok ? resp.json() : {}))
+      .then(({ data = [] }) => data)
+      .catch(() => []);
+  }
+  return translations;
+}
+
+/**
+ * Returns the translations of the page, from the translations sheet.
+ * @returns {Promise<object>} The paths of the translations, by locale
+ */
+export async function getTranslations() {
+  const { pathname } = window.location;
+  const keys = Object.keys(getLocales());
+  const row = (await fetchTranslations())
+    .find((entry) => keys.some((locale) => entry[locale] === pathname));
+  return Object.fromEntries(keys
+    .map((locale) => [locale, row?.[locale]])
+    .filter(([, path]) => path));
+}
+
+/**
+ * Remembers the locale chosen by the visitor.
+ * @param {string} locale The locale
+ */
+export function setPreferredLocale(locale) {
+  try {
+    localStorage.setItem(PREFERRED_LOCALE_KEY, locale);
+  } catch (e) {
+    // storage may be disabled
+  }
+}
+
+/**
+ * Returns the locale chosen by the visitor.
+ * @returns {string} The locale, if any
+ */
+export function getPreferredLocale() {
+  try {
+    const locale = localStorage.getItem(PREFERRED_LOCALE_KEY);
+    return getLocales()[locale] ? locale : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Redirects visitors arriving at the home page of the default locale to the home page of the
+ * locale they chose before. Navigation within the site is never redirected.
+ * @returns {boolean} true if the page is redirected
+ */
+export function redirectToPreferredLocale() {
+  const preferred = getPreferredLocale();
+  if (window.location.pathname !== '/' || !preferred || preferred === DEFAULT_LOCALE) return false;
+  if (document.referrer.startsWith(window.location.origin)) return false;
+  window.location.replace(localizePath('/', preferred));
+  return true;
+}
@@ -0,0 +1,151 @@
+/**
+ * Client for the page index produced from helix-query.yaml, shared by all blocks that list
+ * or search pages.
+ */
+
+// default location of the page index
+const DEFAULT_SOURCE = '/query-index.json';
+
+// number of entries requested per page of an index sheet
+const PAGE_SIZE = 500;
+
+// properties that are stored as comma separated lists or JSON arrays in the index
+const LIST_PROPERTIES = ['keywords', 'tags'];
+
+// entries of each index sheet, fetched once per page
+const cache = new Map();
+
+/**
+ * Parses a list property of an index entry.
+ * @param {string} value The stored value, a JSON array or a comma separated list
+ * @returns {string[]} The list
+ */
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  if (value.startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      // not an array after all
+    }
+  }
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes an index entry, turning list properties into arrays and the last modified
+ * timestamp into a number.
+ * @param {object} entry The raw index entry
+ * @returns {object} The normalized entry
+ */
+function normalizeEntry(entry) {
+  const normalized = { ...entry };
+  LIST_PROPERTIES
+    .filter((name) => name in normalized)
+    .forEach((name) => { normalized[name] = parseList(normalized[name]); });
+  if (normalized.lastModified) normalized.lastModified = Number(normalized.lastModified);
+  return normalized;
+}
+
+/**
+ * Fetches all entries of an index sheet, requesting it page by page.
+ * @param {string} source The path to the index
+ * @param {string} [sheet] The sheet of the index, the default sheet if omitted
+ * @returns {Promise<object[]>} The normalized entries
+ */
+async function fetchSheet(source, sheet) {
+  const entries = [];
+  let offset = 0;
+  let total = Infinity;
+  while (offset < total) {
+    const params = new URLSearchParams({ offset, limit: PAGE_SIZE });
+    if (sheet) params.set('sheet', sheet);
+    // eslint-disable-next-line no-await-in-loop
+    const resp = await fetch(`${source}?${params}`);
+    if (!resp.ok) throw new Error(`failed to fetch ${source}: ${resp.status}`);
+    // eslint-disable-next-line no-await-in-loop
+    const json = await resp.json();
+    if (!json.data?.length) break;
+    entries.push(...json.data.map(normalizeEntry));
+    total = json.total ?? entries.length;
+    offset += json.data.length;
+  }
+  return entries;
+}
+
+/**
+ * Returns the entries of an index sheet from the cache, fetching them if needed. Failures
+ * are not cached, so the next query tries again.
+ * @param {string} source The path to the index
+ * @param {string} [sheet] The sheet of the index
+ * @returns {Promise<object[]>} The normalized entries
+ */
+function getSheet(source, sheet) {
+  const key = `${source}#${sheet || ''}`;
+  if (!cache.has(key)) {
+    cache.set(key, fetchSheet(source, sheet).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error('failed to load the query index', error);
+      cache.delete(key);
+      return [];
+    }));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Creates a compare function from a sort option.
+ * @param {string|Function} sort A compare function, or the name of the property to sort by,
+ * prefixed with - to sort in descending order
+ * @returns {Function} The compare function
+ */
+function toCompare(sort) {
+  if (typeof sort === 'function') return sort;
+  const descending = sort.startsWith('-');
+  const name = descending ? sort.substring(1) : sort;
+  return (a, b) => {
+    const x = a[name] ?? '';
+    const y = b[name] ?? '';
+    const result = typeof x === 'number' && typeof y === 'number'
+      ? x - y
+      : String(x).localeCompare(String(y));
+    return descending ? -result : result;
+  };
+}
+
+/**
+ * Queries the page index. Pages with robots noindex are never returned.
+ * @param {object} [options] The query options
+ * @param {Function} [options.filter] Returns true for the entries to keep
+ * @param {string|Function} [options.sort] Property to sort by, prefixed with - for descending
+ * order, or a compare function
+ * @param {number} [options.offset] Number of matching entries to skip
+ * @param {number} [options.limit] Maximum number of entries to return
+ * @param {string|string[]} [options.sheet] Sheet or sheets of the index to query
+ * @param {string} [options.source] The path to the index, defaults to /query-index.json
+ * @returns {Promise<object[]>} The matching entries
+ */
+export async function queryIndex({
+  filter,
+  sort,
+  offset = 0,
+  limit,
+  sheet,
+  source = DEFAULT_SOURCE,
+} = {}) {
+  const sheets = await Promise.all([].concat(sheet ?? [undefined])
+    .map((name) => getSheet(source, name)));
+  let entries = sheets.flat()
+    .filter((entry) => !(entry.robots || '').toLowerCase().includes('noindex'));
+  if (filter) entries = entries.filter(filter);
+  if (sort) entries = [...entries].sort(toCompare(sort));
+  return entries.slice(offset, limit !== undefined ? offset + limit : undefined);
+}
+
+/**
+ * Removes all cached index sheets, so the next query fetches them again.
+ */
+export function clearQueryIndexCache() {
+  cache.clear();
+}
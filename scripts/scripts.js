@@ -1,4 +1,7 @@
 import {
+  buildBlock,
+  decorateBlock,
+  getMetadata,
   loadHeader,
   loadFooter,
   decorateButtons,
@@ -9,8 +12,34 @@ import {
   waitForFirstImage,
   loadSection,
   loadSections,
+  loadBlock,
   loadCSS,
+  toClassName,
 } from './aem.js';
+import { getConsent, whenConsented } from './consent.js';
+import { runExperiments } from './experiment.js';
+import {
+  decorateAlternates,
+  getLocale,
+  localizePath,
+  redirectToPreferredLocale,
+} from './i18n.js';
+
+// the RUM checkpoints of the page, buffered from the start until scripts/analytics.js loads
+const rumEvents = [];
+
+const bufferRumEvent = ({ detail }) => rumEvents.push(detail);
+
+document.addEventListener('rum', bufferRumEvent);
+
+/**
+ * Stops buffering the RUM checkpoints of the page.
+ * @returns {Array<{checkpoint: string, data: object}>} The checkpoints buffered so far
+ */
+export function takeRumEvents() {
+  document.removeEventListener('rum', bufferRumEvent);
+  return rumEvents.splice(0);
+}
 
 /**
  * Moves all the attributes from a given elmenet to another given element.
@@ -46,6 +75,84 @@ export function moveInstrumentation(from, to) {
   );
 }
 
+/**
+ * Returns the path of a site wide fragment like the nav or the footer, which can be overridden
+ * with the metadata of the same name. By default it is the fragment of the locale of the page.
+ * @param {string} name The name of the fragment
+ * @returns {string} The path of the fragment
+ */
+export function resolveFragmentPath(name) {
+  const meta = getMetadata(name);
+  return meta ? new URL(meta, window.location).pathname : localizePath(`/${name}`);
+}
+
+/**
+ * Checks if the header of the page shows breadcrumbs, set with the breadcrumbs metadata.
+ * @returns {boolean} true if the header shows breadcrumbs
+ */
+export function hasBreadcrumbs() {
+  return ['on', 'true'].includes(getMetadata('breadcrumbs').toLowerCase());
+}
+
+/**
+ * Adds preload hints for the nav and footer fragments, so they are fetched while the
+ * rest of the page loads.
+ */
+function preloadFragments() {
+  ['nav', 'footer'].forEach((name) => {
+    const href = `${resolveFragmentPath(name).replace(/(\.plain)?\.html/, '')}.plain.html`;
+    if (!document.head.querySelector(`link[rel="preload"][href="${href}"]`)) {
+      const link = document.createElement('link');
+      link.rel = 'preload';
+      link.as = 'fetch';
+      link.crossOrigin = 'anonymous';
+      link.href = href;
+      document.head.append(link);
+    }
+  });
+}
+
+/**
+ * Adds preload hints for the JS and CSS of the authored blocks in a section, before it is
+ * decorated, so they are fetched in parallel while the page is decorated.
+ * @param {Element} section The undecorated section
+ */
+function preloadBlocks(section) {
+  const names = new Set([...section.querySelectorAll(':scope > div[class]')]
+    .map((block) => block.classList[0])
+    .filter((name) => name !== 'section-metadata'));
+  names.forEach((name) => {
+    const base = `${window.hlx.codeBasePath}/blocks/${name}/${name}`;
+    [['modulepreload', `${base}.js`], ['preload', `${base}.css`]].forEach(([rel, href]) => {
+      if (document.head.querySelector(`link[href="${href}"]`)) return;
+      const link = document.createElement('link');
+      link.rel = rel;
+      if (rel === 'preload') link.as = 'style';
+      link.href = href;
+      document.head.append(link);
+    });
+  });
+}
+
+// the focal points of the image focus variants of blocks, in percent
+const FOCAL_POINTS = {
+  'focus-top': { x: 50, y: 0 },
+  'focus-bottom': { x: 50, y: 100 },
+  'focus-left': { x: 0, y: 50 },
+  'focus-right': { x: 100, y: 50 },
+};
+
+/**
+ * Returns the point of the images of a block to keep in view when they are cropped, from its
+ * image focus variant.
+ * @param {Element} block The block
+ * @returns {{x: number, y: number}} The focal point in percent, if the block has one
+ */
+export function getFocalPoint(block) {
+  const focus = [...block.classList].find((c) => FOCAL_POINTS[c]);
+  return focus ? FOCAL_POINTS[focus] : undefined;
+}
+
 /**
  * load fonts.css and set a session storage flag
  */
@@ -58,13 +165,133 @@ async function loadFonts() {
   }
 }
 
+/**
+ * Auto blocking rules, ordered by their order value.
+ * @type {Array<{name: string, rule: Function, order: number}>}
+ */
+const autoBlockRules = [];
+
+/**
+ * Registers an auto blocking rule. Rules are called with the main element before the sections
+ * are decorated and build synthetic blocks from default content in place. Registering a rule
+ * with an existing name replaces it. Rules registered from a block only apply to content that
+ * is decorated afterwards, e.g. fragments or content updated in the Universal Editor.
+ * @param {string} name The name of the rule, used to skip it via metadata
+ * @param {Function} rule The rule, called with the main element
+ * @param {number} [order] Rules with a lower order run first, defaults to 100
+ */
+export function registerAutoBlock(name, rule, order = 100) {
+  const index = autoBlockRules.findIndex((r) => r.name === name);
+  if (index >= 0) autoBlockRules.splice(index, 1);
+  autoBlockRules.push({ name, rule, order });
+  autoBlockRules.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Checks if an element is default content, i.e. a direct child of a section.
+ * @param {Element} element The element
+ * @param {Element} main The main element
+ * @returns {boolean} true if the element is default content
+ */
+function isDefaultContent(element, main) {
+  return !!element && element.parentElement?.parentElement === main;
+}
+
+/**
+ * Returns all links that are the only content of a paragraph in the default content. In the
+ * Universal Editor, paragraphs of a richtext with more paragraphs are skipped: their
+ * instrumentation can't be moved to a block, the richtext stays editable instead.
+ * @param {Element} main The main element
+ * @returns {Array<{a: Element, p: Element, url: URL}>} The standalone links
+ */
+function getStandaloneLinks(main) {
+  return [...main.querySelectorAll(':scope > div > p a[href]')]
+    .map((a) => ({ a, p: a.closest('p'), url: new URL(a.href, window.location.href) }))
+    .filter(({ a, p }) => isDefaultContent(p, main)
+      && !p.hasAttribute('data-richtext-prop')
+      && p.querySelectorAll('a').length === 1
+      && p.textContent.trim() === a.textContent.trim());
+}
+
+/**
+ * Replaces a paragraph with a block, moving the paragraph's instrumentation to the block.
+ * @param {Element} p The paragraph
+ * @param {Element} block The block
+ */
+function replaceWithBlock(p, block) {
+  moveInstrumentation(p, block);
+  p.replaceWith(block);
+}
+
+/**
+ * Builds a hero block from a picture followed by an h1 in the first section.
+ * @param {Element} main The main element
+ */
+function buildHeroBlock(main) {
+  const firstSection = main.querySelector(':scope > div');
+  const h1 = firstSection?.querySelector(':scope > h1');
+  const picture = firstSection?.querySelector(':scope > p > picture, :scope > picture');
+  // eslint-disable-next-line no-bitwise
+  if (h1 && picture && (h1.compareDocumentPosition(picture) & Node.DOCUMENT_POSITION_PRECEDING)) {
+    // move the whole paragraph if it only holds the picture, it may carry the instrumentation
+    const pictureContainer = picture.parentElement.tagName === 'P'
+      && picture.parentElement.children.length === 1
+      && !picture.parentElement.textContent.trim()
+      ? picture.parentElement
+      : picture;
+    const section = document.createElement('div');
+    section.append(buildBlock('hero', { elems: [pictureContainer, h1] }));
+    main.prepend(section);
+  }
+}
+
+/**
+ * Builds fragment blocks from standalone links to /fragments/.
+ * @param {Element} main The main element
+ */
+function buildFragmentBlocks(main) {
+  getStandaloneLinks(main)
+    .filter(({ url }) => url.origin === window.location.origin && url.pathname.startsWith('/fragments/'))
+    .forEach(({ a, p, url }) => {
+      a.setAttribute('href', `${url.pathname}${url.hash}`);
+      replaceWithBlock(p, buildBlock('fragment', [[a]]));
+    });
+}
+
+/**
+ * Builds embed blocks from standalone YouTube and Vimeo links.
+ * @param {Element} main The main element
+ */
+function buildEmbedBlocks(main) {
+  getStandaloneLinks(main)
+    .filter(({ url }) => /(^|\.)(youtube\.com|youtu\.be|vimeo\.com)$/.test(url.hostname))
+    .forEach(({ a, p }) => replaceWithBlock(p, buildBlock('embed', [[a]])));
+}
+
+registerAutoBlock('hero', buildHeroBlock, 10);
+registerAutoBlock('fragment', buildFragmentBlocks, 20);
+registerAutoBlock('embed', buildEmbedBlocks, 30);
+
 /**
  * Builds all synthetic blocks in a container element.
+ * Rules can be skipped with the autoblocks metadata, either "off" to skip all of them
+ * or a comma separated list of rule names to skip.
  * @param {Element} main The container element
  */
-function buildAutoBlocks() {
+function buildAutoBlocks(main) {
   try {
-    // TODO: add auto block, if needed
+    const skip = getMetadata('autoblocks').split(',').map((name) => toClassName(name.trim()));
+    if (skip.includes('off')) return;
+    autoBlockRules
+      .filter(({ name }) => !skip.includes(toClassName(name)))
+      .forEach(({ name, rule }) => {
+        try {
+          rule(main);
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.error(`Auto Blocking rule ${name} failed`, error);
+        }
+      });
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Auto Blocking failed', error);
@@ -90,10 +317,20 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  document.documentElement.lang = 'en';
+  const { lang, dir } = getLocale();
+  document.documentElement.lang = lang;
+  document.documentElement.dir = dir;
+  decorateAlternates();
   decorateTemplateAndTheme();
+  // reserve the height of the breadcrumbs before the header loads
+  if (hasBreadcrumbs()) document.body.classList.add('has-breadcrumbs');
+  preloadFragments();
   const main = doc.querySelector('main');
   if (main) {
+    const firstSection = main.querySelector(':scope > div');
+    if (firstSection) preloadBlocks(firstSection);
+    // variants replace the content before it is decorated
+    await runExperiments(main);
     decorateMain(main);
     document.body.classList.add('appear');
     await loadSection(main.querySelector('.section'), waitForFirstImage);
@@ -109,13 +346,31 @@ async function loadEager(doc) {
   }
 }
 
+/**
+ * Shows the cookie banner until the visitor chose which cookies they accept. It is not shown
+ * in the Universal Editor, nor on pages that have a cookie banner of their own, like the
+ * preference center.
+ * @param {Element} doc The container element
+ * @returns {Promise}
+ */
+async function loadCookieBanner(doc) {
+  if (getConsent() || doc.querySelector('.cookie-banner, [data-aue-resource]')) return;
+  const wrapper = document.createElement('div');
+  const block = buildBlock('cookie-banner', '');
+  wrapper.append(block);
+  doc.body.append(wrapper);
+  decorateBlock(block);
+  await loadBlock(block);
+}
+
 /**
  * Loads everything that doesn't need to be delayed.
  * @param {Element} doc The container element
  */
 async function loadLazy(doc) {
   const main = doc.querySelector('main');
-  await loadSections(main);
+  // sections below the first one are loaded as they approach the viewport
+  await loadSections(main, { lazy: true, rootMargin: '400px 0px' });
 
   const { hash } = window.location;
   const element = hash ? doc.getElementById(hash.substring(1)) : false;
@@ -123,6 +378,7 @@ async function loadLazy(doc) {
 
   loadHeader(doc.querySelector('header'));
   loadFooter(doc.querySelector('footer'));
+  loadCookieBanner(doc);
 
   loadCSS(`${window.hlx.codeBasePath}/styles/lazy-styles.css`);
   loadFonts();
@@ -133,15 +389,24 @@ async function loadLazy(doc) {
  * without impacting the user experience.
  */
 function loadDelayed() {
-  // eslint-disable-next-line import/no-cycle
-  window.setTimeout(() => import('./delayed.js'), 3000);
+  window.setTimeout(() => {
+    // eslint-disable-next-line import/no-cycle
+    import('./delayed.js');
+    // eslint-disable-next-line import/no-cycle
+    whenConsented('analytics').then(() => import('./analytics.js'));
+  }, 3000);
   // load anything that can be postponed to the latest here
 }
 
 async function loadPage() {
+  if (redirectToPreferredLocale()) return;
   await loadEager(document);
   await loadLazy(document);
   loadDelayed();
 }
 
-loadPage();
+/**
+ * Resolves once the page has been loaded, except for the delayed phase.
+ * @type {Promise<void>}
+ */
+export const pageLoaded = loadPage();
@@ -0,0 +1,43 @@
+/*
+ * Renders a Content Fragment JSON fixture with the template of its model and prints the html.
+ *
+ * Usage: node tools/cf-templates/render.mjs <fixture.json> [--main]
+ *
+ * The fixture is rendered as is, like the delivered JSON: nested fragment references are only
+ * paths, rendered as fragment blocks that load the pages of the referenced fragments. With
+ * --main only the content of the main element is printed, i.e. the markup the decorators in
+ * scripts/scripts.js get.
+ */
+
+/* eslint-disable no-console */
+// node needs the extension to import es modules
+/* eslint-disable import/extensions */
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { extractMain, getModelName, renderTemplate } from './renderer.mjs';
+
+const TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../cf-templates');
+
+const readJson = async (file) => JSON.parse(await readFile(file, 'utf-8'));
+
+async function main([fixture, ...flags]) {
+  if (!fixture) {
+    console.error('Usage: node tools/cf-templates/render.mjs <fixture.json> [--main]');
+    process.exitCode = 1;
+    return;
+  }
+  const fragment = await readJson(fixture);
+  const model = getModelName(fragment);
+  const models = await readJson(path.join(TEMPLATES_DIR, 'models.json'));
+  const templateFile = models[model];
+  if (!templateFile) throw new Error(`No template for model ${model || '(none)'} in cf-templates/models.json`);
+  const template = await readFile(path.join(TEMPLATES_DIR, templateFile), 'utf-8');
+  const html = renderTemplate(template, fragment);
+  console.log(flags.includes('--main') ? extractMain(html) : html);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
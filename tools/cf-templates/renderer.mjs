@@ -0,0 +1,142 @@
+/*
+ * Content Fragment Renderer
+ * Renders the Mustache templates in cf-templates/ with Content Fragment JSON, so templates can
+ * be developed and tested offline. Only the subset of Mustache the JSON to HTML service renders
+ * is supported: variables, sections, inverted sections and comments, no partials, no helpers.
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escapes a value for use in html.
+ * @param {*} value The value
+ * @returns {string} The escaped value
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => ESCAPES[c]);
+}
+
+/**
+ * Checks if a value has a property, like Mustache does for objects and primitives alike.
+ * @param {*} value The value
+ * @param {string} key The name of the property
+ * @returns {boolean} true if the value has the property
+ */
+function hasProperty(value, key) {
+  if (value === undefined || value === null) return false;
+  return typeof value === 'object' ? key in value : Object.hasOwn(Object(value), key);
+}
+
+/**
+ * Looks up a name like properties.elements.title.value or . in the context stack. The first
+ * part of a dotted name is looked up from the current context up to the root.
+ * @param {string} name The name
+ * @param {Array} stack The context stack, the current context last
+ * @returns {*} The value
+ */
+function lookup(name, stack) {
+  if (name === '.') return stack[stack.length - 1];
+  const [first, ...rest] = name.split('.');
+  const context = [...stack].reverse().find((value) => hasProperty(value, first));
+  if (context === undefined) return undefined;
+  return rest.reduce((value, key) => value?.[key], context[first]);
+}
+
+/**
+ * Parses a template into a tree of text, variables and sections.
+ * @param {string} template The template
+ * @returns {object[]} The nodes
+ */
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const tags = /\{\{(\{)?\s*([#^/!&>=])?\s*([\s\S]*?)\s*\}?\}\}/g;
+  let last = 0;
+  let match;
+  // eslint-disable-next-line no-cond-assign
+  while ((match = tags.exec(template))) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push({ type: 'text', value: template.substring(last, match.index) });
+    last = tags.lastIndex;
+    const [tag, raw, sigil, name] = match;
+    if (sigil === '>' || sigil === '=') {
+      throw new Error(`Unsupported tag ${tag}, the JSON to HTML service renders no partials or delimiter changes`);
+    } else if (sigil !== '!' && !/^(\.|[\w:@-]+(\.[\w:@-]+)*)$/.test(name)) {
+      throw new Error(`Unsupported tag ${tag}, only names are supported, no helpers`);
+    } else if (sigil === '#' || sigil === '^') {
+      const section = {
+        type: 'section', name, inverted: sigil === '^', children: [],
+      };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (current.name !== name) throw new Error(`Unexpected closing tag ${tag}`);
+      stack.pop();
+    } else if (sigil !== '!') {
+      current.children.push({ type: 'variable', name, raw: !!raw || sigil === '&' });
+    }
+  }
+  if (stack.length > 1) throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  if (last < template.length) root.children.push({ type: 'text', value: template.substring(last) });
+  return root.children;
+}
+
+/**
+ * Renders parsed nodes. Sections render once for each item of a list, once with the value as
+ * context for other truthy values, and not at all for falsy values and empty lists. Inverted
+ * sections render only for those.
+ * @param {object[]} nodes The nodes
+ * @param {Array} stack The context stack
+ * @returns {string} The html
+ */
+function renderNodes(nodes, stack) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    const value = lookup(node.name, stack);
+    if (node.type === 'variable') {
+      if (value === undefined || value === null) return '';
+      return node.raw ? String(value) : escapeHtml(value);
+    }
+    const empty = !value || (Array.isArray(value) && !value.length);
+    if (node.inverted) return empty ? renderNodes(node.children, stack) : '';
+    if (empty) return '';
+    return [].concat(value).map((item) => renderNodes(node.children, [...stack, item])).join('');
+  }).join('');
+}
+
+/**
+ * Renders a template.
+ * @param {string} template The template
+ * @param {object} data The data, usually a Content Fragment
+ * @returns {string} The html
+ */
+export function renderTemplate(template, data) {
+  return renderNodes(parse(template), [data]);
+}
+
+/**
+ * Returns the name of the model of a Content Fragment.
+ * @param {object} fragment The Content Fragment
+ * @returns {string} The model name, e.g. program
+ */
+export function getModelName(fragment) {
+  const model = fragment?.properties?.['cq:model'];
+  const path = typeof model === 'string' ? model : model?.path;
+  return path ? path.split('/').filter(Boolean).pop() : '';
+}
+
+/**
+ * Extracts the content of the main element of a rendered page.
+ * @param {string} html The html of the page
+ * @returns {string} The html of the main element
+ */
+export function extractMain(html) {
+  const match = html.match(/<main[^>]*>([\s\S]*)<\/main>/i);
+  return match ? match[1].trim() : html;
+}